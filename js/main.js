@@ -1,6 +1,6 @@
 /**
  * Archivo principal - PrintConnect
- * Versión con localStorage funcional
+ * Los datos se guardan a través de StorageAdapter (IndexedDB o localStorage)
  */
 
 // Esperamos a que el DOM esté completamente cargado
@@ -14,23 +14,68 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     // Inicializamos servicios
-    const userRepository = new UserRepository();
-    const authService = new AuthService(userRepository);
+    const events = EventBus.getDefault();
+    const storage = StorageAdapter.getDefault();
+    const securitySettings = new SecuritySettings(storage);
+    const userRepository = new UserRepository(storage);
+    const auditLog = new AuditLog(storage, securitySettings);
+    const schemaMigrations = new SchemaMigrations(storage, securitySettings);
+    const mailService = new MailService();
+    const authService = new AuthService(userRepository, {
+        settings: securitySettings,
+        mailService: mailService,
+        auditLog: auditLog,
+        events: events
+    });
     const uiService = new UIService(authService);
-    const sessionManager = new SessionManager(authService);
+    const sessionManager = new SessionManager(authService, uiService);
 
     // Clase principal de la aplicación
     class App {
         constructor() {
+            this.securitySettings = securitySettings;
+            this.storage = storage;
+            this.auditLog = auditLog;
+            this.schemaMigrations = schemaMigrations;
+            this.mailService = mailService;
             this.authService = authService;
             this.uiService = uiService;
             this.userRepository = userRepository;
             this.sessionManager = sessionManager;
+            this.events = events;
+            // Avatar elegido en el perfil y aún sin guardar (undefined: sin cambios; null: quitar)
+            this.pendingAvatar = undefined;
         }
 
-        init() {
+        async init() {
             console.log('⚙️ Inicializando aplicación...');
 
+            // Cargamos ajustes y, tras actualizar el formato de los datos guardados, usuarios
+            // (el almacenamiento es asíncrono)
+            await this.securitySettings.load();
+
+            // Los datos dañados se apartan a la cuarentena (recuperando lo legible)
+            // antes de migrarlos y de cargar usuarios sobre ellos
+            await this.quarantineCorruptData();
+            const migration = await this.schemaMigrations.migrate();
+            if (!migration.success) {
+                console.error('❌ ' + migration.message);
+            }
+
+            // Si el almacenamiento está casi lleno se descartan registros antiguos
+            // antes de que falle una escritura (ej: un registro nuevo)
+            await StorageQuota.enforce(StorageUtils.localAdapter);
+            await this.userRepository.load();
+
+            // Garantizamos que exista un administrador
+            this.authService.bootstrapAdmin();
+
+            // Las sesiones sin "Recordarme" son por pestaña: se piden a las demás abiertas
+            await this.sessionManager.requestSessionFromOtherTabs();
+
+            // Verificamos la firma del token de sesión antes de pintar nada
+            await this.authService.restoreSession();
+
             // Inicializamos la UI
             this.uiService.init();
             
@@ -39,19 +84,33 @@ document.addEventListener('DOMContentLoaded', () => {
             
             // Verificamos página de descargas
             this.checkDownloadPage();
+
+            // Verificamos página de verificación de correo
+            this.checkVerificationPage();
+
+            // Verificamos página de perfil
+            this.checkProfilePage();
             
             // Iniciamos gestor de sesiones
             this.sessionManager.init();
+
+            // Usuarios modificados en otras pestañas
+            this.watchRemoteChanges();
+
+            // Sincronización con el servidor (si hay uno configurado)
+            this.startRemoteSync();
             
-            // Verificación de integridad
+            // Verificación de integridad e instantánea periódica (en segundo plano)
             this.startIntegrityCheck();
+            SnapshotStore.getDefault().takePeriodic();
 
             console.log('✅ Aplicación inicializada correctamente');
+            this.events.emit(EventBus.EVENTS.APP_READY, { app: this });
             
             // Modo desarrollo
             if (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1') {
                 console.log('🔧 Modo desarrollo activado');
-                StorageUtils.debugInfo();
+                await StorageUtils.debugInfo();
             }
         }
 
@@ -63,13 +122,114 @@ document.addEventListener('DOMContentLoaded', () => {
                 console.log('✓ Event listener: loginForm');
             }
 
+            // Segundo paso del login (2FA)
+            const twoFactorForm = document.getElementById('twoFactorForm');
+            if (twoFactorForm) {
+                twoFactorForm.addEventListener('submit', (e) => this.handleTwoFactorLogin(e));
+                console.log('✓ Event listener: twoFactorForm');
+            }
+
+            // Cambio de contraseña obligatorio durante el login
+            const passwordChangeForm = document.getElementById('passwordChangeForm');
+            if (passwordChangeForm) {
+                passwordChangeForm.addEventListener('submit', (e) => this.handlePasswordChangeLogin(e));
+                this.uiService.attachPasswordMeter('requiredNewPassword', 'requiredNewPasswordMeter', () => ({
+                    email: document.getElementById('loginEmail').value
+                }));
+                console.log('✓ Event listener: passwordChangeForm');
+            }
+
             // Formulario de registro
             const registerForm = document.getElementById('registerForm');
             if (registerForm) {
                 registerForm.addEventListener('submit', (e) => this.handleRegister(e));
+                this.uiService.attachPasswordMeter('registerPassword', 'registerPasswordMeter', () => ({
+                    name: document.getElementById('registerName').value,
+                    email: document.getElementById('registerEmail').value
+                }), ['registerName', 'registerEmail']);
                 console.log('✓ Event listener: registerForm');
             }
 
+            // Reenvío de verificación de correo (login y página de verificación)
+            const resendVerificationBtn = document.getElementById('resendVerificationBtn');
+            if (resendVerificationBtn) {
+                resendVerificationBtn.addEventListener('click', () =>
+                    this.handleResendVerification(document.getElementById('loginEmail').value)
+                );
+            }
+
+            const resendVerificationForm = document.getElementById('resendVerificationForm');
+            if (resendVerificationForm) {
+                resendVerificationForm.addEventListener('submit', (e) => {
+                    e.preventDefault();
+                    this.handleResendVerification(document.getElementById('resendEmail').value);
+                });
+            }
+
+            // Datos del perfil y cambio de contraseña
+            const profileForm = document.getElementById('profileForm');
+            if (profileForm) {
+                profileForm.addEventListener('submit', (e) => this.handleProfileUpdate(e));
+                document.getElementById('profileAvatarInput')
+                    .addEventListener('change', (e) => this.handleAvatarSelected(e));
+                document.getElementById('removeAvatarBtn')
+                    .addEventListener('click', () => this.setAvatarPreview(null));
+                document.getElementById('changePasswordForm')
+                    .addEventListener('submit', (e) => this.handleChangePassword(e));
+                document.getElementById('changeEmailForm')
+                    .addEventListener('submit', (e) => this.handleChangeEmail(e));
+                this.uiService.attachPasswordMeter('newPassword', 'newPasswordMeter', () =>
+                    this.authService.getCurrentUser() || {}
+                );
+                console.log('✓ Event listeners: perfil y contraseña');
+            }
+
+            // Verificación en dos pasos (perfil)
+            const twoFactorEnableBtn = document.getElementById('twoFactorEnableBtn');
+            if (twoFactorEnableBtn) {
+                twoFactorEnableBtn.addEventListener('click', () => this.handleEnableTwoFactor());
+                document.getElementById('twoFactorConfirmForm')
+                    .addEventListener('submit', (e) => this.handleConfirmTwoFactor(e));
+                document.getElementById('twoFactorManageForm')
+                    .addEventListener('submit', (e) => e.preventDefault());
+                document.getElementById('regenerateRecoveryBtn')
+                    .addEventListener('click', () => this.handleRegenerateRecoveryCodes());
+                document.getElementById('twoFactorDisableBtn')
+                    .addEventListener('click', () => this.handleDisableTwoFactor());
+                console.log('✓ Event listeners: verificación en dos pasos');
+            }
+
+            // Sesiones recordadas (perfil)
+            const persistentSessionsList = document.getElementById('persistentSessionsList');
+            if (persistentSessionsList) {
+                persistentSessionsList.addEventListener('click', (e) => {
+                    const button = e.target.closest('[data-session-id]');
+                    if (button) {
+                        this.handleRevokeSession(button.dataset.sessionId);
+                    }
+                });
+                document.getElementById('revokeAllSessionsBtn')
+                    .addEventListener('click', () => this.handleRevokeAllSessions());
+                console.log('✓ Event listeners: sesiones recordadas');
+            }
+
+            // Formularios de recuperación de contraseña
+            const forgotForm = document.getElementById('forgotForm');
+            if (forgotForm) {
+                forgotForm.addEventListener('submit', (e) => this.handleForgotPassword(e));
+                this.prefillResetForm();
+                console.log('✓ Event listener: forgotForm');
+            }
+
+            const resetForm = document.getElementById('resetForm');
+            if (resetForm) {
+                resetForm.addEventListener('submit', (e) => this.handleResetPassword(e));
+                this.uiService.attachPasswordMeter('resetPassword', 'resetPasswordMeter', () => ({
+                    email: document.getElementById('resetEmail').value
+                }), ['resetEmail']);
+                console.log('✓ Event listener: resetForm');
+            }
+
             // Formulario de contacto
             const contactForm = document.getElementById('contactForm');
             if (contactForm) {
@@ -116,15 +276,21 @@ document.addEventListener('DOMContentLoaded', () => {
             }
         }
 
-        handleLogin(e) {
+        async handleLogin(e) {
             e.preventDefault();
             console.log('📝 Intento de login...');
 
             const email = document.getElementById('loginEmail').value;
             const password = document.getElementById('loginPassword').value;
+            const rememberMe = document.getElementById('rememberMe');
+            const remember = !!(rememberMe && rememberMe.checked);
 
             // Limpiamos errores previos
             this.uiService.hideError('loginError');
+            const resendBtn = document.getElementById('resendVerificationBtn');
+            if (resendBtn) {
+                resendBtn.classList.add('hidden');
+            }
 
             // Validación básica
             if (!email || !password) {
@@ -133,27 +299,32 @@ document.addEventListener('DOMContentLoaded', () => {
             }
 
             // Intentamos login
-            const result = this.authService.login(email, password);
+            const result = await this.authService.login(email, password, remember);
 
             if (result.success) {
-                console.log('✅ Login exitoso:', result.user.name);
-                
-                // Guardamos preferencia de recordar
-                const rememberMe = document.getElementById('rememberMe');
-                if (rememberMe && rememberMe.checked) {
-                    localStorage.setItem('printconnect_remember', 'true');
+                this.onLoginSuccess(result);
+            } else if (result.requiresTwoFactor) {
+                console.log('🔐 Se requiere el segundo factor');
+                this.twoFactorChallengeId = result.challengeId;
+                document.getElementById('loginForm').classList.add('hidden');
+                document.getElementById('twoFactorForm').classList.remove('hidden');
+                document.getElementById('twoFactorCode').focus();
+                this.uiService.showNotification(result.message, 'info', 3000);
+            } else if (result.requiresPasswordChange) {
+                this.showPasswordChangeStep(result, 'loginForm');
+            } else if (result.throttled) {
+                console.log('⛔ Login bloqueado:', result.message);
+                this.uiService.showError('loginError', result.message);
+                this.uiService.showNotification(result.message, 'warning', 4000);
+                this.lockLoginForm(result.retryAfter);
+            } else if (result.needsVerification) {
+                console.log('✉️ Cuenta pendiente de verificación');
+                this.uiService.showError('loginError', result.message);
+                this.uiService.showNotification(result.message, 'warning', 4000);
+                // Mostramos la opción de reenviar el correo de verificación
+                if (resendBtn) {
+                    resendBtn.classList.remove('hidden');
                 }
-                
-                // Mostramos notificación
-                this.uiService.showNotification(result.message, 'success', 2000);
-                
-                // Limpiamos formulario
-                this.uiService.clearForm('loginForm');
-                
-                // Redirigimos
-                setTimeout(() => {
-                    this.uiService.redirect('index.html');
-                }, 1000);
             } else {
                 console.log('❌ Error en login:', result.message);
                 this.uiService.showError('loginError', result.message);
@@ -161,7 +332,141 @@ document.addEventListener('DOMContentLoaded', () => {
             }
         }
 
-        handleRegister(e) {
+        async handleTwoFactorLogin(e) {
+            e.preventDefault();
+
+            const code = document.getElementById('twoFactorCode').value;
+            this.uiService.hideError('twoFactorError');
+
+            if (!code) {
+                this.uiService.showError('twoFactorError', 'Introduce el código');
+                return;
+            }
+
+            const result = await this.authService.completeTwoFactorLogin(this.twoFactorChallengeId, code);
+
+            if (result.success) {
+                this.onLoginSuccess(result);
+            } else if (result.requiresPasswordChange) {
+                this.uiService.clearForm('twoFactorForm');
+                this.showPasswordChangeStep(result, 'twoFactorForm');
+            } else if (result.expired || result.throttled) {
+                this.returnToLoginStep('twoFactorForm', result);
+            } else {
+                this.uiService.showError('twoFactorError', result.message);
+            }
+        }
+
+        showPasswordChangeStep(result, currentFormId) {
+            console.log('🔑 Se requiere cambiar la contraseña');
+            this.passwordChangeChallengeId = result.challengeId;
+            document.getElementById(currentFormId).classList.add('hidden');
+            document.getElementById('passwordChangeForm').classList.remove('hidden');
+            document.getElementById('requiredNewPassword').focus();
+            this.uiService.showNotification(result.message, 'warning', 4000);
+        }
+
+        async handlePasswordChangeLogin(e) {
+            e.preventDefault();
+            this.uiService.hideError('passwordChangeError');
+
+            const result = await this.authService.completePasswordChange(
+                this.passwordChangeChallengeId,
+                document.getElementById('requiredNewPassword').value,
+                document.getElementById('requiredNewPasswordConfirm').value
+            );
+
+            if (result.success) {
+                this.uiService.clearForm('passwordChangeForm');
+                this.onLoginSuccess(result);
+            } else if (result.expired) {
+                this.returnToLoginStep('passwordChangeForm', result);
+            } else {
+                this.uiService.showError('passwordChangeError', result.message);
+            }
+        }
+
+        /**
+         * Vuelve al primer paso del login (reto caducado o bloqueo)
+         */
+        returnToLoginStep(currentFormId, result) {
+            this.uiService.showNotification(result.message, 'warning', 4000);
+            document.getElementById(currentFormId).classList.add('hidden');
+            document.getElementById('loginForm').classList.remove('hidden');
+            this.uiService.clearForm(currentFormId);
+            this.uiService.showError('loginError', result.message);
+            if (result.throttled) {
+                this.lockLoginForm(result.retryAfter);
+            }
+        }
+
+        /**
+         * Pasos comunes tras un login completo (con o sin 2FA)
+         */
+        onLoginSuccess(result) {
+            console.log('✅ Login exitoso:', result.user.name);
+
+            // Las demás pestañas abiertas adoptan la nueva sesión
+            this.sessionManager.broadcast(SessionManager.EVENTS.LOGIN);
+            
+            // Mostramos notificación
+            this.uiService.showNotification(result.message, 'success', 2000);
+
+            if (result.recoveryCodesRemaining !== undefined) {
+                this.uiService.showNotification(
+                    `Usaste un código de recuperación. Te quedan ${result.recoveryCodesRemaining}`,
+                    'warning',
+                    5000
+                );
+            }
+            
+            // Limpiamos formularios
+            this.uiService.clearForm('loginForm');
+            this.uiService.clearForm('twoFactorForm');
+            
+            // Redirigimos (al perfil si la política le obliga a activar 2FA)
+            const destination = result.mustEnrollTwoFactor ? 'perfil.html#seguridad' : 'index.html';
+            if (result.mustEnrollTwoFactor) {
+                this.uiService.showNotification(
+                    'Los administradores deben activar la verificación en dos pasos',
+                    'warning',
+                    5000
+                );
+            }
+            setTimeout(() => {
+                this.uiService.redirect(destination);
+            }, 1000);
+        }
+
+        /**
+         * Deshabilita el botón de login mientras dura el bloqueo, con cuenta atrás
+         */
+        lockLoginForm(retryAfter) {
+            const submitBtn = document.querySelector('#loginForm button[type="submit"]');
+            if (!submitBtn) return;
+
+            const unlockAt = Date.now() + retryAfter;
+            const originalHTML = submitBtn.dataset.originalHtml || submitBtn.innerHTML;
+            submitBtn.dataset.originalHtml = originalHTML;
+            submitBtn.disabled = true;
+
+            clearInterval(this.loginLockTimer);
+            const tick = () => {
+                const remaining = unlockAt - Date.now();
+                if (remaining <= 0) {
+                    clearInterval(this.loginLockTimer);
+                    submitBtn.disabled = false;
+                    submitBtn.innerHTML = originalHTML;
+                    this.uiService.hideError('loginError');
+                    return;
+                }
+                submitBtn.innerHTML = `<i class="fas fa-lock me-2"></i>Reintentar en ${LoginThrottle.formatWait(remaining)}`;
+            };
+            tick();
+            this.loginLockTimer = setInterval(tick, 1000);
+        }
+
+        async handleRegister(e) {
             e.preventDefault();
             console.log('📝 Intento de registro...');
 
@@ -182,10 +487,10 @@ document.addEventListener('DOMContentLoaded', () => {
             }
 
             // Intentamos registrar
-            const result = this.authService.register(name, email, password, passwordConfirm);
+            const result = await this.authService.register(name, email, password, passwordConfirm);
 
             if (result.success) {
-                console.log('✅ Registro exitoso:', email);
+                console.log('✅ Registro exitoso:', email, result.pendingVerification ? '(pendiente de verificación)' : '');
                 console.log('📊 Total usuarios:', this.userRepository.countUsers());
                 
                 // Mostramos éxito
@@ -207,15 +512,173 @@ document.addEventListener('DOMContentLoaded', () => {
             }
         }
 
+        async handleResendVerification(email) {
+            if (!email) {
+                this.uiService.showNotification('Introduce tu correo electrónico', 'warning', 3000);
+                return;
+            }
+
+            const result = await this.authService.resendVerification(email);
+            this.uiService.showNotification(result.message, result.success ? 'info' : 'error', 4000);
+        }
+
+        /**
+         * Página de verificación: consume el token del enlace recibido por correo
+         */
+        async checkVerificationPage() {
+            const status = document.getElementById('verifyStatus');
+            if (!status) return;
+
+            const params = new URLSearchParams(window.location.search);
+            const email = params.get('email');
+            const token = params.get('token');
+
+            // Enlace de confirmación de un cambio de correo
+            if (params.has('emailChange')) {
+                await this.confirmEmailChange(params.get('emailChange'), token);
+                return;
+            }
+
+            if (email) {
+                document.getElementById('resendEmail').value = email;
+            }
+
+            if (!email || !token) {
+                this.uiService.showError('verifyError', 'El enlace de verificación está incompleto');
+                status.classList.add('hidden');
+                return;
+            }
+
+            const result = await this.authService.verifyEmail(email, token);
+            status.classList.add('hidden');
+
+            if (result.success) {
+                this.uiService.showSuccess('verifySuccess', result.message);
+                this.uiService.showNotification(result.message, 'success', 3000);
+                document.getElementById('resendVerificationForm').classList.add('hidden');
+                setTimeout(() => {
+                    this.uiService.redirect('login.html');
+                }, 2500);
+            } else {
+                this.uiService.showError('verifyError', result.message);
+            }
+        }
+
+        async confirmEmailChange(userId, token) {
+            document.getElementById('resendVerificationForm').classList.add('hidden');
+
+            const result = await this.authService.confirmEmailChange(userId, token);
+            document.getElementById('verifyStatus').classList.add('hidden');
+
+            if (!result.success) {
+                this.uiService.showError('verifyError', result.message);
+                return;
+            }
+
+            await this.userRepository.flush();
+            this.sessionManager.broadcast(SessionManager.EVENTS.ACCOUNTS_CHANGED);
+            this.uiService.showSuccess('verifySuccess', result.message);
+            this.uiService.showNotification(result.message, 'success', 3000);
+            this.uiService.redirect(this.authService.isLoggedIn() ? 'perfil.html' : 'login.html', 2500);
+        }
+
+        async handleForgotPassword(e) {
+            e.preventDefault();
+            console.log('🔑 Solicitud de recuperación de contraseña...');
+
+            const email = document.getElementById('forgotEmail').value;
+            this.uiService.hideError('forgotError');
+            this.uiService.hideSuccess('forgotSuccess');
+
+            if (!email) {
+                this.uiService.showError('forgotError', 'Introduce tu correo electrónico');
+                return;
+            }
+
+            const result = await this.authService.requestPasswordReset(email);
+
+            if (result.success) {
+                this.uiService.showSuccess('forgotSuccess', result.message);
+                this.uiService.showNotification(result.message, 'info', 4000);
+
+                // Pasamos al segundo paso con el correo ya rellenado
+                document.getElementById('resetEmail').value = email;
+                document.getElementById('resetCode').focus();
+            } else {
+                this.uiService.showError('forgotError', result.message);
+                this.uiService.showNotification(result.message, 'error', 3000);
+            }
+        }
+
+        async handleResetPassword(e) {
+            e.preventDefault();
+            console.log('🔑 Restableciendo contraseña...');
+
+            const email = document.getElementById('resetEmail').value;
+            const code = document.getElementById('resetCode').value;
+            const password = document.getElementById('resetPassword').value;
+            const passwordConfirm = document.getElementById('resetPasswordConfirm').value;
+
+            this.uiService.hideError('resetError');
+            this.uiService.hideSuccess('resetSuccess');
+
+            if (!email || !code || !password || !passwordConfirm) {
+                this.uiService.showError('resetError', 'Por favor completa todos los campos');
+                return;
+            }
+
+            if (password !== passwordConfirm) {
+                this.uiService.showError('resetError', 'Las contraseñas no coinciden');
+                return;
+            }
+
+            const result = await this.authService.resetPassword(email, code, password);
+
+            if (result.success) {
+                // Las otras pestañas cierran las sesiones que se acaban de invalidar
+                await this.userRepository.flush();
+                this.sessionManager.broadcast(SessionManager.EVENTS.PASSWORD_CHANGED);
+                this.uiService.showSuccess('resetSuccess', result.message);
+                this.uiService.showNotification(result.message, 'success', 3000);
+                this.uiService.clearForm('resetForm');
+                this.uiService.clearForm('forgotForm');
+
+                setTimeout(() => {
+                    this.uiService.redirect('login.html');
+                }, 2000);
+            } else {
+                this.uiService.showError('resetError', result.message);
+                this.uiService.showNotification(result.message, 'error', 3000);
+            }
+        }
+
+        /**
+         * Rellena el correo si se llega desde el enlace del mensaje de recuperación
+         * y el código si el enlace lo incluye (invitación de una cuenta importada)
+         */
+        prefillResetForm() {
+            const params = new URLSearchParams(window.location.search);
+            const email = params.get('email');
+            const code = params.get('code');
+            if (email) {
+                document.getElementById('forgotEmail').value = email;
+                document.getElementById('resetEmail').value = email;
+            }
+            if (code) {
+                document.getElementById('resetCode').value = code;
+                document.getElementById('resetPassword').focus();
+            }
+        }
+
         handleLogout() {
             console.log('👋 Cerrando sesión...');
             
             const result = this.authService.logout();
             
             if (result.success) {
-                // Limpiamos preferencia de recordar
-                localStorage.removeItem('printconnect_remember');
-                
+                // Avisamos al resto de pestañas abiertas
+                this.sessionManager.broadcast(SessionManager.EVENTS.LOGOUT);
+
                 // Mostramos notificación
                 this.uiService.showNotification(result.message, 'success', 2000);
                 
@@ -278,6 +741,7 @@ document.addEventListener('DOMContentLoaded', () => {
             
             if (currentPage === 'descargas.html') {
                 console.log('📄 Página de descargas detectada');
+                this.uiService.protectedPage = true;
                 
                 if (!this.authService.isLoggedIn()) {
                     console.log('❌ Sin autenticación, redirigiendo...');
@@ -296,21 +760,334 @@ document.addEventListener('DOMContentLoaded', () => {
             }
         }
 
-        saveContactMessage(data) {
+        checkProfilePage() {
+            if (!document.getElementById('profilePage')) return;
+
+            console.log('📄 Página de perfil detectada');
+            if (!this.uiService.requireAuth()) {
+                return;
+            }
+
+            this.renderProfile();
+        }
+
+        renderProfile() {
+            const user = this.authService.getCurrentUser();
+            if (!user) return;
+
+            document.getElementById('profileEmail').textContent = user.email;
+            document.getElementById('profileRole').textContent = Role.getLabel(user.role);
+
+            this.renderProfileForm(user);
+            this.renderTwoFactorStatus(user);
+            this.renderPersistentSessions();
+        }
+
+        renderProfileForm(user) {
+            const language = document.getElementById('profilePreferredLanguage');
+            if (language.options.length === 1) {
+                Object.entries(UserSchema.LANGUAGES).forEach(([code, label]) => {
+                    language.add(new Option(label, code));
+                });
+            }
+
+            document.getElementById('profileName').value = user.name;
+            document.getElementById('profilePhone').value = user.phone || '';
+            document.getElementById('profileDepartment').value = user.department || '';
+            document.getElementById('profileDefaultLocation').value = user.defaultLocation || '';
+            language.value = user.preferredLanguage || '';
+
+            this.setAvatarPreview(user.avatar);
+            this.pendingAvatar = undefined;
+        }
+
+        /**
+         * Muestra el avatar (o el icono por defecto) y lo marca como pendiente de guardar
+         */
+        setAvatarPreview(avatar) {
+            const image = document.getElementById('profileAvatar');
+            if (avatar) {
+                image.src = avatar;
+            } else {
+                image.removeAttribute('src');
+            }
+
+            image.classList.toggle('hidden', !avatar);
+            document.getElementById('profileAvatarPlaceholder').classList.toggle('hidden', !!avatar);
+            document.getElementById('removeAvatarBtn').classList.toggle('hidden', !avatar);
+            this.pendingAvatar = avatar || null;
+        }
+
+        async handleAvatarSelected(e) {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (!file) return;
+
+            this.uiService.hideError('profileError');
+            try {
+                this.setAvatarPreview(await this.uiService.resizeImage(file));
+            } catch (error) {
+                this.uiService.showError('profileError', error.message);
+            }
+        }
+
+        async handleProfileUpdate(e) {
+            e.preventDefault();
+            this.uiService.hideError('profileError');
+
+            const data = {
+                name: document.getElementById('profileName').value,
+                phone: document.getElementById('profilePhone').value,
+                department: document.getElementById('profileDepartment').value,
+                defaultLocation: document.getElementById('profileDefaultLocation').value,
+                preferredLanguage: document.getElementById('profilePreferredLanguage').value
+            };
+            if (this.pendingAvatar !== undefined) {
+                data.avatar = this.pendingAvatar;
+            }
+
+            const result = this.authService.updateProfile(data);
+            if (!result.success) {
+                this.uiService.showError('profileError', result.errors.length ? result.errors.join(', ') : result.message);
+                return;
+            }
+
+            await this.userRepository.flush();
+            this.sessionManager.broadcast(SessionManager.EVENTS.ACCOUNTS_CHANGED);
+            this.uiService.showNotification(result.message, 'success', 2000);
+            this.renderProfileForm(this.authService.getCurrentUser());
+        }
+
+        async handleChangeEmail(e) {
+            e.preventDefault();
+            this.uiService.hideError('changeEmailError');
+            this.uiService.hideSuccess('changeEmailSuccess');
+
+            const result = await this.authService.requestEmailChange(
+                document.getElementById('newEmail').value,
+                document.getElementById('changeEmailPassword').value
+            );
+
+            if (!result.success) {
+                this.uiService.showError('changeEmailError', result.message);
+                return;
+            }
+
+            this.uiService.clearForm('changeEmailForm');
+            if (result.changed) {
+                await this.userRepository.flush();
+                this.sessionManager.broadcast(SessionManager.EVENTS.ACCOUNTS_CHANGED);
+                this.renderProfile();
+                this.uiService.showNotification(result.message, 'success', 3000);
+                return;
+            }
+
+            this.uiService.showSuccess('changeEmailSuccess', result.message);
+        }
+
+        async handleChangePassword(e) {
+            e.preventDefault();
+            this.uiService.hideError('changePasswordError');
+
+            const result = await this.authService.changePassword(
+                document.getElementById('currentPassword').value,
+                document.getElementById('newPassword').value,
+                document.getElementById('newPasswordConfirm').value
+            );
+
+            if (!result.success) {
+                this.uiService.showError('changePasswordError', result.message);
+                return;
+            }
+
+            // Las otras pestañas de esta sesión pasan al token renovado; el resto se cierran
+            await this.userRepository.flush();
+            this.sessionManager.broadcast(SessionManager.EVENTS.PASSWORD_CHANGED);
+            this.uiService.clearForm('changePasswordForm');
+            this.uiService.showNotification(result.message, 'success', 3000);
+        }
+
+        renderPersistentSessions() {
+            const list = document.getElementById('persistentSessionsList');
+            const sessions = this.authService.getPersistentSessions();
+
+            document.getElementById('revokeAllSessionsBtn').classList.toggle('hidden', sessions.length === 0);
+
+            if (sessions.length === 0) {
+                list.innerHTML = '<li class="list-group-item text-muted">No tienes sesiones recordadas</li>';
+                return;
+            }
+
+            list.innerHTML = '';
+            sessions.forEach(session => {
+                const item = document.createElement('li');
+                item.className = 'list-group-item d-flex justify-content-between align-items-center';
+
+                const info = document.createElement('div');
+                const device = document.createElement('div');
+                device.className = 'small text-break';
+                device.textContent = session.userAgent || 'Navegador desconocido';
+                const dates = document.createElement('div');
+                dates.className = 'small text-muted';
+                dates.textContent = `Iniciada el ${new Date(session.createdAt).toLocaleString('es-ES')} · ` +
+                    `caduca el ${new Date(session.expiresAt).toLocaleDateString('es-ES')}`;
+                info.append(device, dates);
+
+                if (session.current) {
+                    const badge = document.createElement('span');
+                    badge.className = 'badge bg-success mt-1';
+                    badge.textContent = 'Este navegador';
+                    info.appendChild(badge);
+                }
+
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'btn btn-sm btn-outline-danger ms-3';
+                button.dataset.sessionId = session.id;
+                button.textContent = 'Revocar';
+
+                item.append(info, button);
+                list.appendChild(item);
+            });
+        }
+
+        handleRevokeSession(sessionId) {
+            const result = this.authService.revokeSession(sessionId);
+            if (!result.success) {
+                this.uiService.showNotification(result.message, 'error', 3000);
+                return;
+            }
+
+            this.afterSessionsRevoked(result);
+        }
+
+        handleRevokeAllSessions() {
+            if (!confirm('¿Cerrar todas las sesiones recordadas? Tendrás que volver a iniciar sesión en esos navegadores.')) {
+                return;
+            }
+
+            this.afterSessionsRevoked(this.authService.revokeAllSessions());
+        }
+
+        afterSessionsRevoked(result) {
+            this.uiService.showNotification(result.message, 'success', 2000);
+
+            // Si se revocó la sesión de este navegador, es un logout
+            if (result.current) {
+                this.sessionManager.broadcast(SessionManager.EVENTS.LOGOUT);
+                this.uiService.redirect('login.html', 1000);
+                return;
+            }
+
+            this.renderPersistentSessions();
+        }
+
+        renderTwoFactorStatus(user) {
+            const enabled = user.hasTwoFactor();
+
+            document.getElementById('twoFactorStatus').innerHTML = enabled
+                ? '<i class="fas fa-check-circle text-success me-2"></i>Activada'
+                : '<i class="fas fa-times-circle text-danger me-2"></i>Desactivada';
+            document.getElementById('twoFactorRequiredAlert').classList
+                .toggle('hidden', !this.authService.isTwoFactorEnrollmentRequired(user));
+            document.getElementById('twoFactorEnableBtn').classList.toggle('hidden', enabled);
+            document.getElementById('twoFactorManageForm').classList.toggle('hidden', !enabled);
+            document.getElementById('twoFactorSetup').classList.add('hidden');
+        }
+
+        async handleEnableTwoFactor() {
+            const result = await this.authService.beginTwoFactorEnrollment();
+            if (!result.success) {
+                this.uiService.showNotification(result.message, 'error', 3000);
+                return;
+            }
+
+            const qr = document.getElementById('twoFactorQr');
+            qr.innerHTML = '';
+            // qrcodejs se carga desde CDN; sin él basta con la clave manual
+            if (typeof QRCode !== 'undefined') {
+                new QRCode(qr, { text: result.uri, width: 180, height: 180 });
+            }
+
+            document.getElementById('twoFactorSecret').textContent = result.secret.match(/.{1,4}/g).join(' ');
+            document.getElementById('twoFactorUri').textContent = result.uri;
+            document.getElementById('twoFactorEnableBtn').classList.add('hidden');
+            document.getElementById('twoFactorRecovery').classList.add('hidden');
+            document.getElementById('twoFactorSetup').classList.remove('hidden');
+            document.getElementById('twoFactorConfirmCode').focus();
+        }
+
+        async handleConfirmTwoFactor(e) {
+            e.preventDefault();
+            this.uiService.hideError('twoFactorSetupError');
+
+            const code = document.getElementById('twoFactorConfirmCode').value;
+            const result = await this.authService.confirmTwoFactorEnrollment(code);
+
+            if (!result.success) {
+                this.uiService.showError('twoFactorSetupError', result.message);
+                return;
+            }
+
+            this.uiService.showNotification(result.message, 'success', 3000);
+            this.uiService.clearForm('twoFactorConfirmForm');
+            this.showRecoveryCodes(result.recoveryCodes);
+            this.renderTwoFactorStatus(this.authService.getCurrentUser());
+        }
+
+        async handleRegenerateRecoveryCodes() {
+            this.uiService.hideError('twoFactorManageError');
+
+            const password = document.getElementById('twoFactorPassword').value;
+            const result = await this.authService.regenerateRecoveryCodes(password);
+
+            if (!result.success) {
+                this.uiService.showError('twoFactorManageError', result.message);
+                return;
+            }
+
+            this.uiService.showNotification(result.message, 'success', 3000);
+            this.uiService.clearForm('twoFactorManageForm');
+            this.showRecoveryCodes(result.recoveryCodes);
+        }
+
+        async handleDisableTwoFactor() {
+            this.uiService.hideError('twoFactorManageError');
+
+            if (!confirm('¿Desactivar la verificación en dos pasos? Tu cuenta quedará protegida solo por la contraseña.')) {
+                return;
+            }
+
+            const password = document.getElementById('twoFactorPassword').value;
+            const result = await this.authService.disableTwoFactor(password);
+
+            if (!result.success) {
+                this.uiService.showError('twoFactorManageError', result.message);
+                return;
+            }
+
+            this.uiService.showNotification(result.message, 'success', 3000);
+            this.uiService.clearForm('twoFactorManageForm');
+            document.getElementById('twoFactorRecovery').classList.add('hidden');
+            this.renderTwoFactorStatus(this.authService.getCurrentUser());
+        }
+
+        showRecoveryCodes(codes) {
+            document.getElementById('recoveryCodesList').textContent = codes.join('\n');
+            document.getElementById('twoFactorRecovery').classList.remove('hidden');
+        }
+
+        async saveContactMessage(data) {
             try {
-                const messages = JSON.parse(localStorage.getItem('printconnect_contact_history') || '[]');
+                const messages = (await this.storage.get('printconnect_contact_history')) || [];
                 messages.push({
                     ...data,
                     timestamp: new Date().toISOString(),
                     id: Date.now()
                 });
-                
-                // Límite de 50 mensajes
-                if (messages.length > 50) {
-                    messages.shift();
-                }
-                
-                localStorage.setItem('printconnect_contact_history', JSON.stringify(messages));
+
+                // StorageQuota conserva solo los más recientes (RETENTION_POLICIES)
+                await this.storage.set('printconnect_contact_history', messages);
                 console.log('💾 Mensaje de contacto guardado');
             } catch (error) {
                 console.error('Error al guardar mensaje:', error);
@@ -318,30 +1095,18 @@ document.addEventListener('DOMContentLoaded', () => {
         }
 
         logPageAccess(pageName) {
-            try {
-                const logs = JSON.parse(localStorage.getItem('printconnect_page_logs') || '[]');
-                const user = this.authService.getCurrentUser();
-                
-                logs.push({
-                    page: pageName,
-                    user: user ? user.email : 'anonymous',
-                    timestamp: new Date().toISOString()
-                });
-                
-                // Límite de 100 registros
-                if (logs.length > 100) {
-                    logs.shift();
-                }
-                
-                localStorage.setItem('printconnect_page_logs', JSON.stringify(logs));
-            } catch (error) {
-                console.error('Error al registrar acceso:', error);
-            }
+            return this.authService.audit(AuditLog.TYPES.PAGE_ACCESS, { details: { page: pageName } });
         }
 
-        handleBackup() {
+        async handleBackup() {
+            if (!this.authService.can(Role.PERMISSIONS.STORAGE_MANAGE)) {
+                this.uiService.showNotification('No tienes permisos para crear backups', 'error', 3000);
+                return;
+            }
+
             try {
-                StorageUtils.downloadBackup();
+                await StorageUtils.downloadBackup();
+                this.authService.audit(AuditLog.TYPES.BACKUP, { details: { encrypted: false } });
                 this.uiService.showNotification('Backup descargado exitosamente', 'success', 3000);
             } catch (error) {
                 console.error('Error al crear backup:', error);
@@ -349,22 +1114,29 @@ document.addEventListener('DOMContentLoaded', () => {
             }
         }
 
-        handleClearData() {
+        async handleClearData() {
+            if (!this.authService.can(Role.PERMISSIONS.DATA_DESTROY)) {
+                this.uiService.showNotification('No tienes permisos para borrar los datos', 'error', 3000);
+                return;
+            }
+
             const confirmation = confirm(
                 '⚠️ ADVERTENCIA ⚠️\n\n' +
                 'Esto eliminará TODOS los datos de PrintConnect incluyendo:\n' +
                 '- Usuarios registrados\n' +
                 '- Sesión actual\n' +
                 '- Historial de contacto\n' +
-                '- Logs de acceso\n\n' +
+                '- Registro de auditoría\n\n' +
                 '¿Estás seguro?'
             );
 
             if (confirmation) {
-                const doubleCheck = confirm('¿Realmente seguro? Esta acción NO se puede deshacer.');
+                const doubleCheck = confirm('¿Realmente seguro? Solo se podrá deshacer volviendo a la instantánea que se guarda antes del borrado (Administración → Almacenamiento).');
                 
                 if (doubleCheck) {
-                    const items = StorageUtils.clearAllPrintConnectData();
+                    const items = await StorageUtils.clearAllPrintConnectData();
+                    // Tras el borrado, el registro empieza con el propio borrado
+                    await this.authService.audit(AuditLog.TYPES.DATA_WIPE, { details: { items: items } });
                     this.uiService.showNotification(
                         `Se eliminaron ${items} elementos. Recargando...`,
                         'info',
@@ -375,49 +1147,145 @@ document.addEventListener('DOMContentLoaded', () => {
             }
         }
 
+        /**
+         * Compara un archivo de backup con los datos actuales (vista previa de la fusión)
+         * options: { passphrase, allowUnverified } (ver StorageUtils.readBackup)
+         */
+        async previewRestore(file, options = {}) {
+            if (!this.authService.can(Role.PERMISSIONS.STORAGE_MANAGE)) {
+                return { success: false, message: 'No tienes permisos para restaurar backups' };
+            }
+            return StorageUtils.diffBackup(file, options);
+        }
+
+        /**
+         * Restaura un archivo de backup y recarga los datos en memoria
+         * options.mode: 'overwrite' (por defecto) o 'merge', con options.resolutions
+         * y options.strategy (ver StorageUtils.mergeBackup); además la contraseña
+         * si está cifrado (options.passphrase)
+         * Los archivos dañados, modificados o con la contraseña incorrecta no se restauran
+         */
+        async handleRestore(file, options = {}) {
+            if (!this.authService.can(Role.PERMISSIONS.STORAGE_MANAGE)) {
+                return { success: false, message: 'No tienes permisos para restaurar backups' };
+            }
+
+            const merge = options.mode === 'merge';
+            const result = merge
+                ? await StorageUtils.mergeBackup(file, options)
+                : await StorageUtils.restoreBackup(file, options);
+            if (result.restored > 0) {
+                await this.securitySettings.load();
+                await this.userRepository.load();
+            }
+
+            await this.authService.audit(AuditLog.TYPES.RESTORE, {
+                details: {
+                    backupDate: file && file.timestamp,
+                    mode: merge ? 'merge' : 'overwrite',
+                    encrypted: !!(file && file.encryption),
+                    restored: result.restored || 0,
+                    ...(merge ? { kept: result.kept || 0 } : {}),
+                    errors: result.errors || 0,
+                    // Sin "restored" el archivo no superó la verificación
+                    ...(result.restored === undefined ? { rejected: result.message } : {})
+                }
+            });
+            return result;
+        }
+
+        startRemoteSync() {
+            if (!(this.storage instanceof RemoteSyncAdapter)) {
+                return;
+            }
+
+            this.storage.onRemoteChange((keys) => this.handleRemoteChanges(keys));
+            this.storage.start();
+            console.log(`🔄 Sincronizando con ${this.storage.endpoint}`);
+        }
+
+        async handleRemoteChanges(keys) {
+            console.log('🔄 Cambios recibidos del servidor:', keys);
+
+            if (keys.includes('printconnect_security_settings')) {
+                await this.securitySettings.load();
+            }
+
+            if (keys.includes('printconnect_users')) {
+                // Esta pestaña se actualiza como ante un aviso de otra, y avisa a las demás
+                const events = SessionManager.EVENTS;
+                await this.sessionManager.handleRemoteEvent({ type: events.ACCOUNTS_CHANGED, tabId: 'server' });
+                this.sessionManager.broadcast(events.ACCOUNTS_CHANGED);
+            }
+        }
+
+        /**
+         * Recarga los usuarios cuando otra pestaña los guarda
+         * Al recargar, UserRepository emite USER_ADDED / USER_UPDATED / USER_REMOVED
+         */
+        watchRemoteChanges() {
+            this.events.on(EventBus.EVENTS.STORAGE_CHANGED, ({ key, remote }) => {
+                // key null: otra pestaña vació el localStorage entero
+                if (remote && (key === null || key === this.userRepository.STORAGE_KEYS.USERS)) {
+                    this.userRepository.load();
+                }
+            });
+        }
+
         startIntegrityCheck() {
             // Verificamos cada hora
-            setInterval(() => {
-                const integrity = StorageUtils.validateStorageIntegrity();
-                
-                if (integrity.invalid.length > 0) {
-                    console.warn('⚠️ Datos corruptos detectados:', integrity.invalid);
-                    const cleanup = StorageUtils.cleanupStorage();
-                    console.log('🧹 Limpieza:', cleanup);
-                }
+            setInterval(async () => {
+                await this.quarantineCorruptData();
+                await StorageQuota.enforce(StorageUtils.localAdapter);
+                await SnapshotStore.getDefault().takePeriodic();
             }, 60 * 60 * 1000);
         }
 
-        getAppStats() {
+        /**
+         * Aparta a la cuarentena los datos que no cumplen su esquema
+         * Si afectó a los usuarios se recargan los que se pudieron recuperar
+         */
+        async quarantineCorruptData() {
+            const result = await StorageUtils.cleanupStorage();
+            if (result.quarantined === 0) {
+                return result;
+            }
+
+            console.warn('⚠️ Datos corruptos en cuarentena:', result.keys);
+            console.log('🧪 ' + result.message);
+            if (result.keys.includes(this.userRepository.STORAGE_KEYS.USERS)) {
+                await this.userRepository.load();
+            }
+            return result;
+        }
+
+        async getAppStats() {
             return {
                 auth: this.authService.getStats(),
-                storage: StorageUtils.getStorageInfo(),
+                storage: await StorageUtils.getStorageInfo(),
                 users: {
                     total: this.userRepository.countUsers(),
-                    list: this.userRepository.getAllUsers().map(u => ({
-                        name: u.name,
-                        email: u.email,
-                        createdAt: u.createdAt
-                    }))
+                    list: this.userRepository.getAllUsers().map(u => u.toPublicJSON())
                 }
             };
         }
 
-        devInfo() {
+        async devInfo() {
             console.group('🔧 PrintConnect - Información de Desarrollo');
-            console.log('📊 Estadísticas:', this.getAppStats());
+            console.log('📊 Estadísticas:', await this.getAppStats());
             console.log('👤 Usuario actual:', this.authService.getCurrentUser());
             console.log('🔐 Sesión activa:', this.authService.isLoggedIn());
-            StorageUtils.debugInfo();
+            await StorageUtils.debugInfo();
             console.groupEnd();
         }
     }
 
     // Inicializamos la aplicación
     const app = new App();
-    app.init();
+    app.ready = app.init();
     
     // Exponemos globalmente para debugging
+    // (quien dependa de la sesión debe esperar a app.ready)
     window.app = app;
     window.StorageUtils = StorageUtils;
     window.printConnectDevInfo = () => app.devInfo();
@@ -0,0 +1,83 @@
+/**
+ * Clase Role
+ * Define los roles del sistema y los permisos que otorga cada uno
+ */
+class Role {
+    static get ADMIN() {
+        return 'admin';
+    }
+
+    static get TECHNICIAN() {
+        return 'technician';
+    }
+
+    static get VIEWER() {
+        return 'viewer';
+    }
+
+    /**
+     * Rol asignado a las cuentas nuevas
+     */
+    static get DEFAULT() {
+        return Role.VIEWER;
+    }
+
+    /**
+     * Permisos disponibles en la aplicación
+     */
+    static get PERMISSIONS() {
+        return {
+            ADMIN_ACCESS: 'admin:access',
+            USERS_MANAGE: 'users:manage',
+            STORAGE_MANAGE: 'storage:manage',
+            DATA_DESTROY: 'data:destroy',
+            LOGS_VIEW: 'logs:view'
+        };
+    }
+
+    /**
+     * Lista de roles válidos
+     */
+    static getAll() {
+        return [Role.ADMIN, Role.TECHNICIAN, Role.VIEWER];
+    }
+
+    static isValid(role) {
+        return Role.getAll().includes(role);
+    }
+
+    /**
+     * Retorna los permisos asociados a un rol
+     */
+    static getPermissions(role) {
+        const p = Role.PERMISSIONS;
+
+        switch (role) {
+            case Role.ADMIN:
+                return Object.values(p);
+            // Todos los permisos actuales son del panel de administración, que exige
+            // ADMIN_ACCESS: técnicos y cuentas de consulta no tienen ninguno por ahora
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Verifica si un rol tiene un permiso
+     */
+    static can(role, permission) {
+        return Role.getPermissions(role).includes(permission);
+    }
+
+    /**
+     * Nombre legible del rol para la interfaz
+     */
+    static getLabel(role) {
+        const labels = {
+            admin: 'Administrador',
+            technician: 'Técnico',
+            viewer: 'Consulta'
+        };
+        return labels[role] || role;
+    }
+}
@@ -4,34 +4,121 @@
  */
 class User {
     constructor(name, email, password) {
+        this.id = CryptoUtils.randomId();
         this.name = name;
         this.email = email;
+        // La contraseña en texto plano solo vive en memoria hasta que se hashea
         this.password = password;
+        this.passwordHash = null;
+        this.role = Role.DEFAULT;
+        // Las cuentas nuevas quedan pendientes hasta verificar el correo
+        this.status = User.STATUS.PENDING;
+        this.emailVerifiedAt = null;
+        // Verificación en dos pasos (TOTP): { enabled, secret, recoveryCodes, ... }
+        this.twoFactor = null;
+        // Gestión por parte de los administradores
+        this.disabledAt = null;
+        this.mustChangePassword = false;
+        // Perfil opcional (ver UserSchema.PROFILE_FIELDS); el avatar es una data URL
+        this.phone = null;
+        this.department = null;
+        this.defaultLocation = null;
+        this.preferredLanguage = null;
+        this.avatar = null;
         this.createdAt = new Date();
+        this.passwordChangedAt = this.createdAt;
+        // Última modificación: decide qué versión gana al sincronizar
+        this.updatedAt = this.createdAt;
     }
 
-    isValidEmail() {
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        return emailRegex.test(this.email);
+    /**
+     * Estados posibles de una cuenta
+     */
+    static get STATUS() {
+        return {
+            PENDING: 'pending',
+            ACTIVE: 'active'
+        };
     }
 
-    isValidPassword() {
-        return this.password && this.password.length >= 6;
+    /**
+     * Formato de los ids de usuario (UUID o hexadecimal de CryptoUtils.randomId)
+     * Se admiten letras, números, '-' y '_' para los ids de versiones anteriores
+     */
+    static get ID_PATTERN() {
+        return /^[A-Za-z0-9_-]{1,64}$/;
     }
 
-    validate() {
-        const errors = [];
+    /**
+     * Indica si un id de usuario tiene un formato válido
+     * Los ids llegan también de backups y de datos editados a mano: nunca se confía en ellos
+     */
+    static isValidId(id) {
+        return typeof id === 'string' && User.ID_PATTERN.test(id);
+    }
 
-        if (!this.name || this.name.trim() === '') {
-            errors.push('El nombre es requerido');
+    /**
+     * Forma canónica de un email para identificar la cuenta
+     * Sin espacios, en minúsculas y con el dominio internacional en ASCII (IDNA),
+     * así "Juan@Empresa.com" y "juan@empresa.com" son la misma cuenta.
+     * El email se sigue mostrando tal como lo escribió el usuario
+     */
+    static normalizeEmail(email) {
+        const value = String(email || '').trim().toLowerCase();
+        const at = value.lastIndexOf('@');
+        if (at === -1) {
+            return value;
         }
 
-        if (!this.isValidEmail()) {
-            errors.push('El email no es válido');
+        let domain = value.slice(at + 1);
+        // Solo convertimos dominios que URL interpreta como nombre de host completo
+        if (/^[^\s/:?#@[\]\\%]+$/.test(domain)) {
+            try {
+                domain = new URL(`http://${domain}`).hostname;
+            } catch (error) {
+                // Dominio no válido: se compara tal cual
+            }
+        }
+
+        return `${value.slice(0, at)}@${domain}`;
+    }
+
+    /**
+     * Email canónico de la cuenta (ver normalizeEmail)
+     */
+    getEmailKey() {
+        return User.normalizeEmail(this.email);
+    }
+
+    isValidEmail() {
+        return UserSchema.validateField('email', this.email) === null;
+    }
+
+    /**
+     * Comprueba la contraseña en texto plano (con la política indicada, si la hay)
+     */
+    isValidPassword(policy = null) {
+        if (UserSchema.validateField('password', this.password) !== null) {
+            return false;
         }
+        return !policy || policy.check(this.password, this).valid;
+    }
+
+    /**
+     * Valida el usuario contra UserSchema
+     * La contraseña solo se valida mientras está en texto plano (antes de hashearla),
+     * y con PasswordPolicy si se indica una política
+     */
+    validate(policy = null) {
+        const fields = Object.keys(UserSchema.FIELDS)
+            .filter(name => name !== 'password' || !this.passwordHash);
+        const { valid, errors } = UserSchema.validate(this, fields);
 
-        if (!this.isValidPassword()) {
-            errors.push('La contraseña debe tener al menos 6 caracteres');
+        if (policy && !this.passwordHash && UserSchema.validateField('password', this.password) === null) {
+            const check = policy.check(this.password, this);
+            if (!check.valid) {
+                errors.push(check.message);
+            }
         }
 
         return {
@@ -40,24 +127,184 @@ class User {
         };
     }
 
-    checkPassword(password) {
-        return this.password === password;
+    /**
+     * Datos del perfil opcional
+     */
+    getProfile() {
+        const profile = {};
+        UserSchema.PROFILE_FIELDS.forEach(field => {
+            profile[field] = this[field];
+        });
+        return profile;
+    }
+
+    /**
+     * Indica si el correo de la cuenta ya fue verificado
+     */
+    isVerified() {
+        return this.status !== User.STATUS.PENDING;
+    }
+
+    /**
+     * Marca la cuenta como verificada y activa
+     */
+    markVerified() {
+        this.status = User.STATUS.ACTIVE;
+        this.emailVerifiedAt = new Date();
+    }
+
+    /**
+     * Marca el registro como modificado ahora
+     */
+    touch() {
+        this.updatedAt = new Date();
+    }
+
+    /**
+     * Indica si un administrador desactivó la cuenta
+     */
+    isDisabled() {
+        return this.disabledAt !== null;
+    }
+
+    /**
+     * Indica si el usuario tiene la verificación en dos pasos activa
+     */
+    hasTwoFactor() {
+        return !!(this.twoFactor && this.twoFactor.enabled);
+    }
+
+    /**
+     * Verifica si el usuario tiene un rol concreto
+     */
+    hasRole(role) {
+        return this.role === role;
+    }
+
+    /**
+     * Verifica si el rol del usuario otorga un permiso
+     */
+    can(permission) {
+        return Role.can(this.role, permission);
+    }
+
+    /**
+     * Hashea la contraseña con PBKDF2 y descarta el texto plano
+     */
+    async setPassword(password) {
+        this.passwordHash = await CryptoUtils.hashPassword(password);
+        this.password = null;
+    }
+
+    /**
+     * Verifica una contraseña contra el hash guardado
+     * Los registros heredados en texto plano se comparan directamente hasta que se migren
+     */
+    async checkPassword(password) {
+        if (this.passwordHash) {
+            return CryptoUtils.verifyPassword(password, this.passwordHash);
+        }
+        return CryptoUtils.timingSafeEqual(this.password, password);
+    }
+
+    /**
+     * Indica si el usuario aún tiene la contraseña guardada en texto plano
+     */
+    hasLegacyPassword() {
+        return !this.passwordHash && !!this.password;
+    }
+
+    /**
+     * Indica si la contraseña debe volver a hashearse en el próximo login
+     */
+    needsRehash() {
+        return this.hasLegacyPassword() || CryptoUtils.needsRehash(this.passwordHash);
     }
 
     toJSON() {
+        const json = {
+            id: this.id,
+            name: this.name,
+            email: this.email,
+            role: this.role,
+            status: this.status,
+            emailVerifiedAt: this.emailVerifiedAt,
+            twoFactor: this.twoFactor,
+            disabledAt: this.disabledAt,
+            mustChangePassword: this.mustChangePassword,
+            passwordChangedAt: this.passwordChangedAt,
+            ...this.getProfile(),
+            createdAt: this.createdAt,
+            updatedAt: this.updatedAt
+        };
+
+        if (this.passwordHash) {
+            json.passwordHash = this.passwordHash;
+        } else if (this.password) {
+            // Registro heredado: se conserva hasta que el usuario vuelva a iniciar sesión
+            json.password = this.password;
+        }
+
+        return json;
+    }
+
+    /**
+     * Datos del usuario sin credenciales (para sesión, listados, etc.)
+     */
+    toPublicJSON() {
         return {
+            id: this.id,
             name: this.name,
             email: this.email,
-            password: this.password,
+            role: this.role,
+            status: this.status,
+            emailVerifiedAt: this.emailVerifiedAt,
+            twoFactorEnabled: this.hasTwoFactor(),
+            disabledAt: this.disabledAt,
+            mustChangePassword: this.mustChangePassword,
+            ...this.getProfile(),
             createdAt: this.createdAt
         };
     }
 
     static fromJSON(json) {
-        const user = new User(json.name, json.email, json.password);
+        const user = new User(json.name, json.email, json.passwordHash ? null : json.password);
+        // Un id con formato no válido se sustituye por uno nuevo (como los registros sin id)
+        if (User.isValidId(json.id)) {
+            user.id = json.id;
+        } else if (json.id) {
+            console.warn('⚠️ Usuario con id no válido, se le asigna uno nuevo:', json.email);
+        }
+        if (json.passwordHash) {
+            user.passwordHash = json.passwordHash;
+        }
+        if (Role.isValid(json.role)) {
+            user.role = json.role;
+        }
+        // Las cuentas anteriores a la verificación de correo ya estaban activas
+        user.status = Object.values(User.STATUS).includes(json.status) ? json.status : User.STATUS.ACTIVE;
+        if (json.twoFactor) {
+            user.twoFactor = json.twoFactor;
+        }
+        if (json.emailVerifiedAt) {
+            user.emailVerifiedAt = new Date(json.emailVerifiedAt);
+        }
+        if (json.disabledAt) {
+            user.disabledAt = new Date(json.disabledAt);
+        }
+        user.mustChangePassword = json.mustChangePassword === true;
+        // Los campos del perfil que no cumplan el esquema se descartan
+        UserSchema.PROFILE_FIELDS.forEach(field => {
+            if (!UserSchema.isEmpty(json[field]) && UserSchema.validateField(field, json[field]) === null) {
+                user[field] = json[field];
+            }
+        });
         if (json.createdAt) {
             user.createdAt = new Date(json.createdAt);
         }
+        // Las cuentas anteriores a la política cuentan la antigüedad desde el alta
+        user.passwordChangedAt = json.passwordChangedAt ? new Date(json.passwordChangedAt) : user.createdAt;
+        user.updatedAt = json.updatedAt ? new Date(json.updatedAt) : user.createdAt;
         return user;
     }
 }
\ No newline at end of file
@@ -1,35 +1,109 @@
 /**
  * Clase UserRepository
- * Almacena usuarios usando localStorage para persistencia
+ * Almacena usuarios a través de un StorageAdapter (IndexedDB, localStorage o memoria)
+ *
+ * Los usuarios se leen una vez con load() y se consultan en memoria; cada cambio
+ * se escribe de forma asíncrona. El token de sesión sigue en Web Storage.
  */
 class UserRepository {
-    constructor() {
-        // Claves para localStorage - usamos constantes para evitar errores de tipeo
+    constructor(storage = StorageAdapter.getDefault()) {
+        this.storage = storage;
+
+        // Claves de almacenamiento - usamos constantes para evitar errores de tipeo
         this.STORAGE_KEYS = {
             USERS: 'printconnect_users',
+            SESSION_TOKEN: 'printconnect_session',
+            // Claves heredadas (solo se limpian): sesión sin firmar y preferencia "Recordarme"
             CURRENT_USER: 'printconnect_current_user',
-            SESSION_TOKEN: 'printconnect_session'
+            LOGIN_TIME: 'printconnect_login_time',
+            REMEMBER: 'printconnect_remember'
         };
         
-        // Inicializamos cargando datos del localStorage
-        this.users = this.loadUsers();
-        this.currentUser = this.loadCurrentUser();
+        // La lista se llena con load(), que es asíncrono
+        // El usuario actual lo resuelve AuthService tras verificar el token de sesión
+        this.users = [];
+        this.currentUser = null;
+
+        // Cadena de escrituras pendientes: garantiza que llegan en orden
+        this.pendingWrite = Promise.resolve(true);
+
+        // Último estado anunciado (id -> JSON), para emitir solo lo que cambia
+        this.knownUsers = null;
+    }
+
+    /**
+     * Carga (o vuelve a cargar) los usuarios desde el almacenamiento
+     * Necesario al iniciar y cuando otra pestaña pudo modificarlos
+     */
+    async load() {
+        this.users = await this.loadUsers();
+        this.announceChanges(this.users.map(user => user.toJSON()));
+        return this.users;
+    }
+
+    /**
+     * Emite los cambios de la lista respecto al último estado anunciado
+     * (EventBus: USER_ADDED, USER_UPDATED y USER_REMOVED). La primera carga solo
+     * fija el estado de partida
+     */
+    announceChanges(usersData) {
+        const previous = this.knownUsers;
+        this.knownUsers = new Map(usersData.map(data => [data.id, JSON.stringify(data)]));
+        if (!previous) {
+            return;
+        }
+
+        const events = EventBus.getDefault();
+        for (const [id, json] of this.knownUsers) {
+            if (!previous.has(id)) {
+                events.emit(EventBus.EVENTS.USER_ADDED, { id, user: this.findById(id) });
+            } else if (previous.get(id) !== json) {
+                events.emit(EventBus.EVENTS.USER_UPDATED, { id, user: this.findById(id) });
+            }
+        }
+        for (const id of previous.keys()) {
+            if (!this.knownUsers.has(id)) {
+                events.emit(EventBus.EVENTS.USER_REMOVED, { id });
+            }
+        }
     }
 
     /**
-     * Carga todos los usuarios desde localStorage
+     * Lee todos los usuarios del almacenamiento
      * Si no hay datos guardados, retorna un array vacío
      */
-    loadUsers() {
+    async loadUsers() {
         try {
-            const usersData = localStorage.getItem(this.STORAGE_KEYS.USERS);
-            if (!usersData) {
+            // Esperamos a que terminen nuestras propias escrituras pendientes
+            await this.pendingWrite;
+
+            const usersArray = await this.storage.get(this.STORAGE_KEYS.USERS);
+            if (!Array.isArray(usersArray)) {
                 return [];
             }
             
-            // Convertimos el JSON guardado de vuelta a objetos User
-            const usersArray = JSON.parse(usersData);
-            return usersArray.map(userData => User.fromJSON(userData));
+            // Convertimos los datos guardados de vuelta a objetos User
+            const users = usersArray.map(userData => User.fromJSON(userData));
+
+            // Los registros antiguos no tenían id (y los manipulados pueden traer uno no válido):
+            // persistimos los generados
+            if (usersArray.some(userData => !User.isValidId(userData.id))) {
+                await this.storage.set(this.STORAGE_KEYS.USERS, users.map(u => u.toJSON()));
+            }
+
+            // Cuentas guardadas antes de comparar emails sin mayúsculas (o llegadas al sincronizar)
+            const duplicates = this.findDuplicateEmails(users);
+            if (duplicates.length > 0) {
+                console.warn(`⚠️ ${duplicates.length} email(s) con varias cuentas:`, duplicates.map(group => group.email));
+            }
+
+            // Las contraseñas en texto plano se migran a hash en el próximo login exitoso
+            const legacy = users.filter(user => user.hasLegacyPassword()).length;
+            if (legacy > 0) {
+                console.warn(`⚠️ ${legacy} usuario(s) con contraseña sin hashear, se migrarán al iniciar sesión`);
+            }
+
+            return users;
         } catch (error) {
             console.error('Error al cargar usuarios:', error);
             return [];
@@ -37,59 +111,71 @@ class UserRepository {
     }
 
     /**
-     * Guarda todos los usuarios en localStorage
-     * Convertimos los objetos User a JSON para poder almacenarlos
+     * Guarda todos los usuarios en el almacenamiento
+     * Tomamos la instantánea ahora y la escritura se encola detrás de las anteriores
+     * Retorna una promesa con true/false según el resultado
      */
     saveUsers() {
-        try {
-            const usersData = this.users.map(user => user.toJSON());
-            localStorage.setItem(this.STORAGE_KEYS.USERS, JSON.stringify(usersData));
-            return true;
-        } catch (error) {
-            console.error('Error al guardar usuarios:', error);
-            return false;
-        }
+        const usersData = this.users.map(user => user.toJSON());
+        this.announceChanges(usersData);
+
+        this.pendingWrite = this.pendingWrite
+            .then(() => this.storage.set(this.STORAGE_KEYS.USERS, usersData))
+            .then(() => true)
+            .catch(error => {
+                console.error('Error al guardar usuarios:', error);
+                return false;
+            });
+        return this.pendingWrite;
     }
 
     /**
-     * Carga el usuario actual desde localStorage
+     * Espera a que se hayan escrito todos los cambios pendientes
+     * (ej: antes de redirigir a otra página)
      */
-    loadCurrentUser() {
+    flush() {
+        return this.pendingWrite;
+    }
+
+    /**
+     * Lee el token de sesión guardado
+     * Primero el de esta pestaña (sessionStorage) y si no el persistente (localStorage)
+     * El token NO se verifica aquí: eso lo hace AuthService con TokenService
+     */
+    loadSessionToken() {
         try {
-            const userData = localStorage.getItem(this.STORAGE_KEYS.CURRENT_USER);
-            const sessionToken = localStorage.getItem(this.STORAGE_KEYS.SESSION_TOKEN);
-            
-            // Verificamos que exista una sesión válida
-            if (!userData || !sessionToken) {
-                return null;
-            }
-            
-            const userObj = JSON.parse(userData);
-            return User.fromJSON(userObj);
+            return sessionStorage.getItem(this.STORAGE_KEYS.SESSION_TOKEN)
+                || localStorage.getItem(this.STORAGE_KEYS.SESSION_TOKEN);
         } catch (error) {
-            console.error('Error al cargar usuario actual:', error);
+            console.error('Error al leer token de sesión:', error);
             return null;
         }
     }
 
     /**
-     * Guarda el usuario actual en localStorage
-     * Incluye un token de sesión simple para validación
+     * Guarda (o elimina si es null) el token de sesión firmado
+     * Las sesiones persistentes van a localStorage; el resto a sessionStorage,
+     * que el navegador borra al cerrarse
      */
-    saveCurrentUser(user) {
+    saveSessionToken(token, persistent = false) {
         try {
-            if (user) {
-                localStorage.setItem(this.STORAGE_KEYS.CURRENT_USER, JSON.stringify(user.toJSON()));
-                // Generamos un token de sesión básico (timestamp + random)
-                const sessionToken = Date.now() + '_' + Math.random().toString(36).substr(2, 9);
-                localStorage.setItem(this.STORAGE_KEYS.SESSION_TOKEN, sessionToken);
+            const target = persistent ? localStorage : sessionStorage;
+            const other = persistent ? sessionStorage : localStorage;
+
+            if (token) {
+                target.setItem(this.STORAGE_KEYS.SESSION_TOKEN, token);
             } else {
-                localStorage.removeItem(this.STORAGE_KEYS.CURRENT_USER);
-                localStorage.removeItem(this.STORAGE_KEYS.SESSION_TOKEN);
+                target.removeItem(this.STORAGE_KEYS.SESSION_TOKEN);
             }
+            other.removeItem(this.STORAGE_KEYS.SESSION_TOKEN);
+
+            // Claves heredadas: el esquema de sesión sin firmar y la preferencia que nadie leía
+            localStorage.removeItem(this.STORAGE_KEYS.CURRENT_USER);
+            localStorage.removeItem(this.STORAGE_KEYS.LOGIN_TIME);
+            localStorage.removeItem(this.STORAGE_KEYS.REMEMBER);
             return true;
         } catch (error) {
-            console.error('Error al guardar usuario actual:', error);
+            console.error('Error al guardar token de sesión:', error);
             return false;
         }
     }
@@ -99,21 +185,83 @@ class UserRepository {
      * Verifica que no exista otro con el mismo email
      */
     addUser(user) {
-        const existe = this.users.find(u => u.email === user.email);
+        const existe = this.findByEmail(user.email);
         if (existe) {
             return false;
         }
         
         this.users.push(user);
-        this.saveUsers(); // Guardamos en localStorage
+        this.saveUsers(); // Se guarda en segundo plano
         return true;
     }
 
     /**
-     * Busca un usuario por su email
+     * Añade un nuevo usuario y espera a que quede escrito en el almacenamiento
+     * Si la escritura falla (ej: almacenamiento lleno) se quita de nuevo: sin esto
+     * la cuenta existiría solo en memoria y se perdería sin avisar
+     * Retorna { success, duplicate }
+     */
+    async addUserDurably(user) {
+        if (!this.addUser(user)) {
+            return { success: false, duplicate: true };
+        }
+
+        if (!(await this.flush())) {
+            this.deleteUser(user.email);
+            return { success: false, duplicate: false };
+        }
+
+        return { success: true, duplicate: false };
+    }
+
+    /**
+     * Busca un usuario por su email (sin distinguir mayúsculas, ver User.normalizeEmail)
+     * Si hay cuentas duplicadas heredadas, se prefiere la que coincide exactamente
      */
     findByEmail(email) {
-        return this.users.find(u => u.email === email) || null;
+        const key = User.normalizeEmail(email);
+        const matches = this.users.filter(u => u.getEmailKey() === key);
+        return matches.find(u => u.email === email) || matches[0] || null;
+    }
+
+    /**
+     * Agrupa las cuentas que comparten email canónico
+     * Retorna [{ email, users }] solo con los grupos de más de una cuenta
+     */
+    findDuplicateEmails(users = this.users) {
+        const groups = new Map();
+        users.forEach(user => {
+            const key = user.getEmailKey();
+            groups.set(key, [...(groups.get(key) || []), user]);
+        });
+
+        return [...groups.entries()]
+            .filter(([, group]) => group.length > 1)
+            .map(([email, group]) => ({ email, users: group }));
+    }
+
+    /**
+     * Cambia el email de una cuenta
+     * Falla si el nuevo email no es válido o pertenece a otra cuenta
+     */
+    changeEmail(currentEmail, newEmail) {
+        const user = this.findByEmail(currentEmail);
+        const owner = this.findByEmail(newEmail);
+        if (!user || (owner && owner !== user) || UserSchema.validateField('email', newEmail) !== null) {
+            return false;
+        }
+
+        user.email = newEmail;
+        user.touch();
+        this.saveUsers();
+        return true;
+    }
+
+    /**
+     * Busca un usuario por su id
+     */
+    findById(id) {
+        return this.users.find(u => u.id === id) || null;
     }
 
     /**
@@ -130,25 +278,83 @@ class UserRepository {
         return this.users.length;
     }
 
+    /**
+     * Retorna los usuarios que tienen un rol concreto
+     */
+    findByRole(role) {
+        return this.users.filter(u => u.role === role);
+    }
+
+    /**
+     * Cambia el rol de un usuario
+     */
+    setUserRole(email, role) {
+        const user = this.findByEmail(email);
+        if (!user || !Role.isValid(role)) {
+            return false;
+        }
+
+        user.role = role;
+        user.touch();
+        this.saveUsers();
+        return true;
+    }
+
+    /**
+     * Marca la verificación de correo de un usuario
+     */
+    setUserVerified(email, verified) {
+        const user = this.findByEmail(email);
+        if (!user) {
+            return false;
+        }
+
+        if (verified) {
+            user.markVerified();
+        } else {
+            user.status = User.STATUS.PENDING;
+            user.emailVerifiedAt = null;
+        }
+        user.touch();
+        this.saveUsers();
+        return true;
+    }
+
     /**
      * Elimina un usuario del sistema
      */
     deleteUser(email) {
-        const index = this.users.findIndex(u => u.email === email);
+        const index = this.users.indexOf(this.findByEmail(email));
         if (index !== -1) {
             this.users.splice(index, 1);
-            this.saveUsers(); // Actualizamos localStorage
+            this.saveUsers(); // Actualizamos el almacenamiento
             return true;
         }
         return false;
     }
 
     /**
-     * Establece el usuario actual (login)
+     * Guarda (o elimina si es null) solo el token de sesión de esta pestaña
+     * Lo usa la sincronización entre pestañas, sin tocar el persistente
+     */
+    setTabSessionToken(token) {
+        try {
+            if (token) {
+                sessionStorage.setItem(this.STORAGE_KEYS.SESSION_TOKEN, token);
+            } else {
+                sessionStorage.removeItem(this.STORAGE_KEYS.SESSION_TOKEN);
+            }
+        } catch (error) {
+            console.error('Error al guardar token de sesión:', error);
+        }
+    }
+
+    /**
+     * Establece el usuario actual (login) junto con su token firmado
      */
-    setCurrentUser(user) {
+    setCurrentUser(user, token, persistent = false) {
         this.currentUser = user;
-        this.saveCurrentUser(user);
+        this.saveSessionToken(token, persistent);
     }
 
     /**
@@ -163,7 +369,15 @@ class UserRepository {
      */
     clearCurrentUser() {
         this.currentUser = null;
-        this.saveCurrentUser(null);
+        this.saveSessionToken(null);
+    }
+
+    /**
+     * Olvida el usuario actual en memoria sin tocar el almacenamiento
+     * Se usa cuando el token guardado cambió y hay que volver a verificarlo
+     */
+    releaseCurrentUser() {
+        this.currentUser = null;
     }
 
     /**
@@ -176,35 +390,71 @@ class UserRepository {
     /**
      * Limpia todos los datos (útil para testing o reset)
      */
-    clearAll() {
+    async clearAll() {
         this.users = [];
         this.currentUser = null;
-        localStorage.removeItem(this.STORAGE_KEYS.USERS);
-        localStorage.removeItem(this.STORAGE_KEYS.CURRENT_USER);
+        this.announceChanges([]);
+        await this.pendingWrite;
+        await this.storage.remove(this.STORAGE_KEYS.USERS);
         localStorage.removeItem(this.STORAGE_KEYS.SESSION_TOKEN);
+        sessionStorage.removeItem(this.STORAGE_KEYS.SESSION_TOKEN);
+        localStorage.removeItem(this.STORAGE_KEYS.CURRENT_USER);
+        localStorage.removeItem(this.STORAGE_KEYS.LOGIN_TIME);
+    }
+
+    /**
+     * Migra la contraseña de un usuario al hash actual
+     * Se llama tras un login exitoso, que es el único momento en que conocemos la contraseña
+     */
+    async upgradePassword(user, password) {
+        await user.setPassword(password);
+        user.touch();
+        return this.saveUsers();
     }
 
     /**
      * Actualiza los datos de un usuario existente
-     * Útil para cambios de perfil o contraseña
+     * Útil para cambios de perfil (name y UserSchema.PROFILE_FIELDS, null borra el campo),
+     * de contraseña (passwordHash ya calculado) y para la gestión de cuentas
+     * (role, disabled, mustChangePassword)
+     * Si algún campo no cumple el esquema no se aplica ningún cambio
      */
     updateUser(email, updatedData) {
         const user = this.findByEmail(email);
-        if (!user) {
+        if (!user || (updatedData.role !== undefined && !Role.isValid(updatedData.role))) {
+            return false;
+        }
+
+        const schemaFields = ['name', ...UserSchema.PROFILE_FIELDS]
+            .filter(field => updatedData[field] !== undefined);
+        if (!UserSchema.validate(updatedData, schemaFields).valid) {
             return false;
         }
 
         // Actualizamos los campos permitidos
         if (updatedData.name) user.name = updatedData.name;
-        if (updatedData.password) user.password = updatedData.password;
+        if (updatedData.passwordHash) {
+            user.passwordHash = updatedData.passwordHash;
+            user.password = null;
+            user.passwordChangedAt = new Date();
+        }
+        if (updatedData.twoFactor !== undefined) user.twoFactor = updatedData.twoFactor;
+        if (updatedData.role !== undefined) user.role = updatedData.role;
+        if (updatedData.disabled !== undefined) {
+            user.disabledAt = updatedData.disabled ? (user.disabledAt || new Date()) : null;
+        }
+        if (updatedData.mustChangePassword !== undefined) {
+            user.mustChangePassword = !!updatedData.mustChangePassword;
+        }
+        UserSchema.PROFILE_FIELDS.forEach(field => {
+            if (updatedData[field] !== undefined) {
+                user[field] = updatedData[field];
+            }
+        });
+        user.touch();
         
         this.saveUsers();
         
-        // Si es el usuario actual, actualizamos también la sesión
-        if (this.currentUser && this.currentUser.email === email) {
-            this.setCurrentUser(user);
-        }
-        
         return true;
     }
 
@@ -218,15 +468,45 @@ class UserRepository {
         };
     }
 
+    /**
+     * Columnas del CSV de usuarios que se pueden importar
+     * (el avatar no: una data URL no cabe razonablemente en una celda)
+     */
+    static get CSV_COLUMNS() {
+        return ['name', 'email', 'role', ...UserSchema.PROFILE_FIELDS.filter(field => field !== 'avatar')];
+    }
+
+    /**
+     * Exporta los usuarios como filas CSV (con cabecera)
+     * Sin datos de contraseña ni de 2FA; las columnas de estado finales
+     * son informativas y se ignoran al importar
+     */
+    toCsvRows() {
+        const columns = UserRepository.CSV_COLUMNS;
+        return [
+            [...columns, 'verified', 'disabled', 'twoFactor', 'createdAt'],
+            ...this.users.map(user => [
+                ...columns.map(field => user[field] || ''),
+                user.isVerified() ? 'sí' : 'no',
+                user.isDisabled() ? 'sí' : 'no',
+                user.hasTwoFactor() ? 'sí' : 'no',
+                new Date(user.createdAt).toISOString()
+            ])
+        ];
+    }
+
     /**
      * Importa datos desde JSON (útil para restaurar backup)
      */
-    importData(data) {
+    async importData(data) {
         try {
             if (data.users && Array.isArray(data.users)) {
+                // Se reemplazan todos los usuarios: antes, una instantánea para poder volver atrás
+                if (typeof SnapshotStore !== 'undefined') {
+                    await SnapshotStore.getDefault().take(SnapshotStore.REASONS.IMPORT);
+                }
                 this.users = data.users.map(userData => User.fromJSON(userData));
-                this.saveUsers();
-                return true;
+                return await this.saveUsers();
             }
             return false;
         } catch (error) {
@@ -0,0 +1,188 @@
+/**
+ * Clase UserSchema
+ * Esquema declarativo de los campos de un usuario
+ *
+ * Cada campo declara sus reglas (requerido, longitud, formato, valores permitidos)
+ * y los mensajes se construyen a partir de su etiqueta. Lo usan User.validate(),
+ * UserRepository.updateUser() y los formularios de registro y perfil.
+ */
+class UserSchema {
+    /**
+     * Idiomas que se pueden elegir como preferidos
+     */
+    static get LANGUAGES() {
+        return {
+            es: 'Español',
+            en: 'English',
+            pt: 'Português',
+            fr: 'Français'
+        };
+    }
+
+    /**
+     * Tamaño del avatar (px, cuadrado) y longitud máxima de su data URL
+     */
+    static get AVATAR_SIZE() {
+        return 128;
+    }
+
+    static get AVATAR_MAX_LENGTH() {
+        return 150000;
+    }
+
+    /**
+     * Reglas de cada campo
+     * profile: campo opcional que el usuario edita desde su perfil
+     * message: mensaje único para cualquier error del campo
+     */
+    static get FIELDS() {
+        return {
+            name: {
+                label: 'Nombre',
+                required: true,
+                maxLength: 80,
+                message: 'El nombre es requerido'
+            },
+            email: {
+                label: 'Email',
+                required: true,
+                maxLength: 254,
+                pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+                message: 'El email no es válido'
+            },
+            // Las reglas de fortaleza (longitud, caracteres...) las define PasswordPolicy
+            password: {
+                label: 'Contraseña',
+                required: true,
+                message: 'La contraseña es requerida'
+            },
+            phone: {
+                label: 'Teléfono',
+                profile: true,
+                maxLength: 20,
+                pattern: /^\+?[0-9][0-9\s().-]{5,}$/
+            },
+            department: {
+                label: 'Departamento',
+                profile: true,
+                maxLength: 60
+            },
+            defaultLocation: {
+                label: 'Ubicación predeterminada',
+                profile: true,
+                maxLength: 100
+            },
+            preferredLanguage: {
+                label: 'Idioma preferido',
+                profile: true,
+                enum: Object.keys(UserSchema.LANGUAGES)
+            },
+            avatar: {
+                label: 'Foto de perfil',
+                profile: true,
+                maxLength: UserSchema.AVATAR_MAX_LENGTH,
+                pattern: /^data:image\/(png|jpeg|webp);base64,[A-Za-z0-9+/]+=*$/
+            }
+        };
+    }
+
+    /**
+     * Campos opcionales del perfil
+     */
+    static get PROFILE_FIELDS() {
+        const fields = UserSchema.FIELDS;
+        return Object.keys(fields).filter(name => fields[name].profile);
+    }
+
+    /**
+     * Indica si un valor cuenta como vacío
+     */
+    static isEmpty(value) {
+        return value === undefined || value === null || value === '';
+    }
+
+    /**
+     * Valida un campo
+     * Retorna el mensaje de error o null si es válido
+     */
+    static validateField(name, value) {
+        const rule = UserSchema.FIELDS[name];
+        if (!rule) {
+            return `Campo desconocido: ${name}`;
+        }
+
+        const fail = (message) => rule.message || message;
+
+        if (UserSchema.isEmpty(value)) {
+            return rule.required ? fail(`${rule.label} es un campo requerido`) : null;
+        }
+
+        if (typeof value !== 'string') {
+            return fail(`${rule.label} no tiene un formato válido`);
+        }
+
+        // Un campo requerido no puede ser solo espacios
+        if (rule.required && value.trim() === '') {
+            return fail(`${rule.label} es un campo requerido`);
+        }
+
+        if (rule.minLength && value.length < rule.minLength) {
+            return fail(`${rule.label} debe tener al menos ${rule.minLength} caracteres`);
+        }
+
+        if (rule.maxLength && value.length > rule.maxLength) {
+            return fail(`${rule.label} admite como máximo ${rule.maxLength} caracteres`);
+        }
+
+        if (rule.pattern && !rule.pattern.test(value)) {
+            return fail(`${rule.label} no tiene un formato válido`);
+        }
+
+        if (rule.enum && !rule.enum.includes(value)) {
+            return fail(`${rule.label} no es una opción válida`);
+        }
+
+        return null;
+    }
+
+    /**
+     * Valida varios campos de un objeto (por defecto todos los del esquema)
+     * Retorna { valid, errors, fieldErrors }
+     */
+    static validate(data, fields = Object.keys(UserSchema.FIELDS)) {
+        const errors = [];
+        const fieldErrors = {};
+
+        fields.forEach(name => {
+            const error = UserSchema.validateField(name, data[name]);
+            if (error) {
+                errors.push(error);
+                fieldErrors[name] = error;
+            }
+        });
+
+        return {
+            valid: errors.length === 0,
+            errors,
+            fieldErrors
+        };
+    }
+
+    /**
+     * Normaliza los datos de un formulario: recorta espacios y convierte '' en null
+     * Solo conserva los campos indicados (la contraseña nunca se recorta)
+     */
+    static normalize(data, fields) {
+        const values = {};
+
+        fields.forEach(name => {
+            let value = data[name];
+            if (typeof value === 'string' && name !== 'password') {
+                value = value.trim();
+            }
+            values[name] = UserSchema.isEmpty(value) ? null : value;
+        });
+
+        return values;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,234 @@
+/**
+ * Clase AuditLog
+ * Registro de auditoría de seguridad: eventos tipados con actor, objetivo,
+ * navegador y fecha
+ *
+ * Se guarda a través de un StorageAdapter. Las escrituras se encadenan para
+ * llegar en orden (y se excluyen entre pestañas con withLock) y, al superar el
+ * tamaño máximo configurado (auditLogMaxKB), se descartan los eventos más antiguos.
+ */
+class AuditLog {
+    constructor(storage = StorageAdapter.getDefault(), settings = new SecuritySettings()) {
+        this.STORAGE_KEY = 'printconnect_audit_log';
+        this.storage = storage;
+        this.settings = settings;
+        this.pendingWrite = Promise.resolve(true);
+    }
+
+    /**
+     * Tipos de evento
+     */
+    static get TYPES() {
+        return {
+            LOGIN_SUCCESS: 'login_success',
+            LOGIN_FAILURE: 'login_failure',
+            LOGOUT: 'logout',
+            REGISTER: 'register',
+            PASSWORD_CHANGE: 'password_change',
+            SESSION_EXPIRED: 'session_expired',
+            USER_DELETED: 'user_deleted',
+            USER_IMPORT: 'user_import',
+            USER_EXPORT: 'user_export',
+            BACKUP: 'backup',
+            RESTORE: 'restore',
+            DATA_WIPE: 'data_wipe',
+            PAGE_ACCESS: 'page_access'
+        };
+    }
+
+    /**
+     * Nombre legible de cada tipo para la interfaz
+     */
+    static getLabel(type) {
+        const labels = {
+            login_success: 'Inicio de sesión',
+            login_failure: 'Inicio de sesión fallido',
+            logout: 'Cierre de sesión',
+            register: 'Registro',
+            password_change: 'Cambio de contraseña',
+            session_expired: 'Sesión caducada',
+            user_deleted: 'Usuario eliminado',
+            user_import: 'Importación de usuarios',
+            user_export: 'Exportación de usuarios',
+            backup: 'Backup',
+            restore: 'Restauración',
+            data_wipe: 'Borrado de datos',
+            page_access: 'Acceso a página'
+        };
+        return labels[type] || type;
+    }
+
+    /**
+     * Registra un evento (en segundo plano, en orden)
+     * actor: email de quien realiza la acción (null si es anónimo)
+     * target: email o recurso afectado; details: datos adicionales serializables
+     */
+    record(type, { actor = null, target = null, details = null } = {}) {
+        const entry = {
+            id: CryptoUtils.randomId(),
+            type: type,
+            actor: actor,
+            target: target,
+            details: details,
+            userAgent: typeof navigator !== 'undefined' ? navigator.userAgent : null,
+            timestamp: new Date().toISOString()
+        };
+
+        this.pendingWrite = this.pendingWrite
+            .then(() => this.withLock(async () => {
+                const entries = (await this.storage.get(this.STORAGE_KEY)) || [];
+                entries.push(entry);
+                await this.storage.set(this.STORAGE_KEY, this.applyRetention(entries));
+                return true;
+            }))
+            .catch(error => {
+                console.error('Error al registrar evento de auditoría:', error);
+                return false;
+            });
+        return this.pendingWrite;
+    }
+
+    /**
+     * Exclusión entre pestañas para leer y reescribir el registro (si el navegador lo permite)
+     * Sin ella, dos pestañas que registran a la vez se pisan y se pierde un evento
+     */
+    withLock(operation) {
+        if (typeof navigator !== 'undefined' && navigator.locks) {
+            return navigator.locks.request(this.STORAGE_KEY, operation);
+        }
+        return operation();
+    }
+
+    /**
+     * Descarta los eventos más antiguos hasta quedar bajo el tamaño máximo
+     */
+    applyRetention(entries) {
+        const maxBytes = this.settings.get('auditLogMaxKB') * 1024;
+        const sizes = entries.map(entry => JSON.stringify(entry).length + 1);
+        let total = sizes.reduce((sum, size) => sum + size, 2);
+        let start = 0;
+
+        // Siempre se conserva al menos el último evento
+        while (total > maxBytes && start < entries.length - 1) {
+            total -= sizes[start];
+            start++;
+        }
+
+        if (start > 0) {
+            console.log(`🧹 Auditoría: ${start} evento(s) antiguo(s) descartado(s) por tamaño`);
+        }
+        return entries.slice(start);
+    }
+
+    /**
+     * Todos los eventos, del más reciente al más antiguo
+     */
+    async getAll() {
+        await this.pendingWrite;
+        const entries = (await this.storage.get(this.STORAGE_KEY)) || [];
+        return entries.slice().reverse();
+    }
+
+    /**
+     * Eventos que cumplen los filtros, del más reciente al más antiguo
+     * filters: { type, user (texto en actor u objetivo), from, to (fechas 'YYYY-MM-DD') }
+     */
+    async find(filters = {}) {
+        const user = String(filters.user || '').trim().toLowerCase();
+        const from = filters.from ? new Date(`${filters.from}T00:00:00`).getTime() : null;
+        const to = filters.to ? new Date(`${filters.to}T23:59:59.999`).getTime() : null;
+
+        return (await this.getAll()).filter(entry => {
+            const time = new Date(entry.timestamp).getTime();
+            return (!filters.type || entry.type === filters.type) &&
+                (!user || [entry.actor, entry.target].some(value => String(value || '').toLowerCase().includes(user))) &&
+                (from === null || time >= from) &&
+                (to === null || time <= to);
+        });
+    }
+
+    /**
+     * Busca eventos con filtros (ver find) y paginación ({ page, pageSize })
+     * Retorna { entries, total, page, pages }
+     */
+    async query(filters = {}) {
+        const matches = await this.find(filters);
+        const pageSize = filters.pageSize || 25;
+        const pages = Math.max(1, Math.ceil(matches.length / pageSize));
+        const page = Math.min(Math.max(1, filters.page || 1), pages);
+
+        return {
+            entries: matches.slice((page - 1) * pageSize, page * pageSize),
+            total: matches.length,
+            page,
+            pages
+        };
+    }
+
+    /**
+     * Convierte eventos en filas para exportar a CSV (con cabecera)
+     */
+    static toRows(entries) {
+        return [
+            ['Fecha', 'Tipo', 'Actor', 'Objetivo', 'Detalles', 'Navegador'],
+            ...entries.map(entry => [
+                entry.timestamp,
+                AuditLog.getLabel(entry.type),
+                entry.actor || '',
+                entry.target || '',
+                entry.details ? JSON.stringify(entry.details) : '',
+                entry.userAgent || ''
+            ])
+        ];
+    }
+
+    /**
+     * Incorpora los accesos a páginas del registro anterior (printconnect_page_logs)
+     * y elimina esa clave (lo ejecuta la migración 2 de SchemaMigrations)
+     * Lanza un error si no se pudo completar, para que la migración se deshaga
+     */
+    async migrateLegacyPageLogs() {
+        const LEGACY_KEY = 'printconnect_page_logs';
+        const logs = await this.storage.get(LEGACY_KEY);
+        if (!Array.isArray(logs)) {
+            return 0;
+        }
+
+        const migrated = this.pendingWrite = this.pendingWrite
+            .then(async () => {
+                const entries = (await this.storage.get(this.STORAGE_KEY)) || [];
+                const imported = logs.map(log => ({
+                    id: CryptoUtils.randomId(),
+                    type: AuditLog.TYPES.PAGE_ACCESS,
+                    actor: log.user && log.user !== 'anonymous' ? log.user : null,
+                    target: null,
+                    details: { page: log.page },
+                    userAgent: null,
+                    timestamp: log.timestamp
+                }));
+                const merged = [...imported, ...entries]
+                    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+                await this.storage.set(this.STORAGE_KEY, this.applyRetention(merged));
+                await this.storage.remove(LEGACY_KEY);
+                console.log(`📋 ${imported.length} acceso(s) migrado(s) al registro de auditoría`);
+                return true;
+            })
+            .catch(error => {
+                console.error('Error al migrar el registro de accesos:', error);
+                return false;
+            });
+        if (!(await migrated)) {
+            throw new Error('No se pudo migrar el registro de accesos');
+        }
+        return logs.length;
+    }
+
+    /**
+     * Elimina todos los eventos
+     */
+    async clear() {
+        await this.pendingWrite;
+        await this.storage.remove(this.STORAGE_KEY);
+    }
+}
@@ -3,17 +3,41 @@
  * Maneja la autenticación con mejoras de seguridad
  */
 class AuthService {
-    constructor(userRepository) {
+    /**
+     * @param {UserRepository} userRepository
+     * @param {object} options - Servicios opcionales (settings, tokenService, loginThrottle,
+     *                           mailService, codeService, sessionRegistry, events). Se crean por defecto si no se pasan.
+     */
+    constructor(userRepository, options = {}) {
         this.userRepository = userRepository;
-        // Configuración de sesión
-        this.SESSION_DURATION = 24 * 60 * 60 * 1000; // 24 horas en milisegundos
+        this.settings = options.settings || new SecuritySettings();
+        this.tokenService = options.tokenService || new TokenService();
+        this.loginThrottle = options.loginThrottle || new LoginThrottle(this.settings);
+        this.passwordPolicy = options.passwordPolicy || new PasswordPolicy(this.settings);
+        this.mailService = options.mailService || new MailService();
+        this.codeService = options.codeService || new OneTimeCodeService();
+        this.sessionRegistry = options.sessionRegistry || new SessionRegistry();
+        this.auditLog = options.auditLog || new AuditLog(StorageAdapter.getDefault(), this.settings);
+        this.events = options.events || EventBus.getDefault();
+        // Validez de los códigos de recuperación de contraseña
+        this.RESET_CODE_TTL = 15 * 60 * 1000; // 15 minutos
+        // Validez de los enlaces de verificación de correo
+        this.VERIFICATION_TTL = 48 * 60 * 60 * 1000; // 48 horas
+        // Tiempo para introducir el segundo factor tras la contraseña
+        this.TWO_FACTOR_CHALLENGE_TTL = 5 * 60 * 1000; // 5 minutos
+        // Sesión verificada en memoria: { token, payload }
+        this.session = null;
+        // Usuario de la última sesión anunciada (SESSION_CHANGED)
+        this.announcedUserId = null;
+        // Login a medias esperando otro paso: { id, type: 'two_factor' | 'password_change', userId, email, remember, expiresAt }
+        this.pendingChallenge = null;
     }
 
     /**
      * Registra un nuevo usuario en el sistema
      * Valida que las contraseñas coincidan y que los datos sean correctos
      */
-    register(name, email, password, passwordConfirm) {
+    async register(name, email, password, passwordConfirm) {
         // Validación de coincidencia de contraseñas
         if (password !== passwordConfirm) {
             return {
@@ -23,11 +47,19 @@ class AuthService {
             };
         }
 
-        // Creamos el objeto usuario
-        const user = new User(name, email, password);
+        // Creamos el objeto usuario (el email se guarda tal como se escribió, sin espacios)
+        const user = new User(name, String(email || '').trim(), password);
+
+        // La primera cuenta del sistema se convierte en administrador
+        // y queda activa: sin otro admin nadie podría leer su correo de verificación
+        const isFirstAccount = this.userRepository.countUsers() === 0;
+        if (isFirstAccount) {
+            user.role = Role.ADMIN;
+            user.markVerified();
+        }
 
-        // Validamos los datos del usuario
-        const validation = user.validate();
+        // Validamos los datos del usuario (y la contraseña con la política vigente)
+        const validation = user.validate(this.passwordPolicy);
         if (!validation.valid) {
             return {
                 success: false,
@@ -36,9 +68,21 @@ class AuthService {
             };
         }
 
-        // Intentamos agregar el usuario al repositorio
-        const added = this.userRepository.addUser(user);
-        if (!added) {
+        // Guardamos solo el hash de la contraseña, nunca el texto plano
+        try {
+            await user.setPassword(password);
+        } catch (error) {
+            console.error('Error al hashear contraseña:', error);
+            return {
+                success: false,
+                message: 'No se pudo proteger la contraseña',
+                errors: ['Tu navegador no soporta el cifrado necesario para crear la cuenta']
+            };
+        }
+
+        // Intentamos agregar el usuario al repositorio (y que quede guardado)
+        const added = await this.userRepository.addUserDurably(user);
+        if (added.duplicate) {
             return {
                 success: false,
                 message: 'El correo ya está registrado',
@@ -46,55 +90,1040 @@ class AuthService {
             };
         }
 
+        if (!added.success) {
+            return {
+                success: false,
+                message: 'No se pudo guardar la cuenta',
+                errors: ['El almacenamiento del navegador está lleno. Inténtalo de nuevo más tarde']
+            };
+        }
+
+        this.audit(AuditLog.TYPES.REGISTER, { target: user.email });
+
+        if (isFirstAccount) {
+            return {
+                success: true,
+                message: '¡Cuenta creada exitosamente!',
+                errors: []
+            };
+        }
+
+        await this.sendVerificationEmail(user);
+
+        return {
+            success: true,
+            pendingVerification: true,
+            message: '¡Cuenta creada! Revisa tu correo para verificarla antes de iniciar sesión',
+            errors: []
+        };
+    }
+
+    /**
+     * Envía el enlace de verificación de correo a una cuenta pendiente
+     */
+    async sendVerificationEmail(user) {
+        const token = await this.codeService.issue('email_verification', user.email, {
+            ttl: this.VERIFICATION_TTL,
+            generate: () => CryptoUtils.bytesToBase64Url(CryptoUtils.randomBytes(24))
+        });
+
+        const link = this.buildLink('verificar.html', { email: user.email, token: token });
+        return this.mailService.send(
+            user.email,
+            'PrintConnect - Verifica tu correo',
+            `Hola ${user.name},\n\n` +
+            'Gracias por registrarte en PrintConnect. Para activar tu cuenta abre este enlace:\n' +
+            `${link}\n\n` +
+            `El enlace caduca en ${Math.round(this.VERIFICATION_TTL / 3600000)} horas.`
+        );
+    }
+
+    /**
+     * Verifica el correo de una cuenta con el token recibido por email
+     */
+    async verifyEmail(email, token) {
+        const user = this.userRepository.findByEmail(email);
+        if (!user) {
+            return { success: false, message: 'El enlace de verificación no es válido' };
+        }
+
+        if (user.isVerified()) {
+            return { success: true, message: 'Tu correo ya estaba verificado' };
+        }
+
+        const consumed = await this.codeService.consume('email_verification', user.email, token);
+        if (!consumed.success) {
+            return {
+                success: false,
+                message: 'El enlace de verificación no es válido o ha caducado'
+            };
+        }
+
+        this.userRepository.setUserVerified(user.email, true);
+        return { success: true, message: '¡Correo verificado! Ya puedes iniciar sesión' };
+    }
+
+    /**
+     * Reenvía el correo de verificación
+     * Responde igual exista o no la cuenta pendiente
+     */
+    async resendVerification(email) {
+        const user = this.userRepository.findByEmail(email);
+        if (user && !user.isVerified()) {
+            const sent = await this.sendVerificationEmail(user);
+            if (!sent.success) {
+                return { success: false, message: 'No se pudo enviar el correo. Inténtalo más tarde' };
+            }
+        }
+
+        return {
+            success: true,
+            message: 'Si la cuenta está pendiente de verificación, recibirás un nuevo enlace'
+        };
+    }
+
+    /**
+     * Solicita cambiar el email del usuario actual
+     * El cambio no se aplica hasta abrir el enlace enviado a la nueva dirección;
+     * la dirección actual recibe un aviso. Si solo cambian mayúsculas o espacios
+     * (mismo buzón) se aplica directamente
+     */
+    async requestEmailChange(newEmail, password) {
+        const user = this.getCurrentUser();
+        if (!user) {
+            return { success: false, message: 'Debes estar logueado para cambiar el correo' };
+        }
+
+        if (!(await user.checkPassword(password))) {
+            return { success: false, message: 'La contraseña es incorrecta' };
+        }
+
+        const email = String(newEmail || '').trim();
+        const emailError = UserSchema.validateField('email', email);
+        if (emailError) {
+            return { success: false, message: emailError };
+        }
+
+        if (email === user.email) {
+            return { success: false, message: 'Ese ya es tu correo' };
+        }
+
+        const owner = this.userRepository.findByEmail(email);
+        if (owner && owner !== user) {
+            return { success: false, message: 'El correo ya está registrado' };
+        }
+
+        if (User.normalizeEmail(email) === user.getEmailKey()) {
+            this.userRepository.changeEmail(user.email, email);
+            return { success: true, changed: true, message: 'Correo actualizado' };
+        }
+
+        const token = await this.codeService.issue('email_change', user.id, {
+            ttl: this.VERIFICATION_TTL,
+            generate: () => CryptoUtils.bytesToBase64Url(CryptoUtils.randomBytes(24)),
+            data: { email: email }
+        });
+
+        const link = this.buildLink('verificar.html', { emailChange: user.id, token: token });
+        const sent = await this.mailService.send(
+            email,
+            'PrintConnect - Confirma tu nuevo correo',
+            `Hola ${user.name},\n\n` +
+            `Para usar esta dirección en tu cuenta de PrintConnect (ahora ${user.email}) abre este enlace:\n` +
+            `${link}\n\n` +
+            `El enlace caduca en ${Math.round(this.VERIFICATION_TTL / 3600000)} horas.`
+        );
+
+        if (!sent.success) {
+            this.codeService.revoke(user.id, 'email_change');
+            return { success: false, message: 'No se pudo enviar el correo. Inténtalo más tarde' };
+        }
+
+        await this.mailService.send(
+            user.email,
+            'PrintConnect - Cambio de correo solicitado',
+            `Hola ${user.name},\n\n` +
+            `Se ha solicitado cambiar el correo de tu cuenta a ${email}. ` +
+            'El cambio se aplicará cuando se confirme desde esa dirección.\n\n' +
+            'Si no has sido tú, cambia tu contraseña cuanto antes.'
+        );
+
+        return {
+            success: true,
+            changed: false,
+            message: `Te hemos enviado un enlace a ${email} para confirmar el cambio`
+        };
+    }
+
+    /**
+     * Confirma el cambio de email con el token recibido en la nueva dirección
+     */
+    async confirmEmailChange(userId, token) {
+        const user = this.userRepository.findById(userId);
+        const consumed = user
+            ? await this.codeService.consume('email_change', user.id, token)
+            : { success: false };
+
+        if (!consumed.success) {
+            return { success: false, message: 'El enlace de confirmación no es válido o ha caducado' };
+        }
+
+        const previousEmail = user.email;
+        if (!this.userRepository.changeEmail(previousEmail, consumed.data.email)) {
+            return { success: false, message: 'El correo ya está registrado en otra cuenta' };
+        }
+
+        // Los códigos emitidos para la dirección anterior ya no sirven
+        this.codeService.revoke(previousEmail);
+
+        return { success: true, message: `Tu correo ahora es ${user.email}` };
+    }
+
+    /**
+     * Cambia manualmente el estado de verificación de una cuenta (acción de administrador)
+     * Marcarla como pendiente revoca además sus sesiones recordadas
+     */
+    setVerificationStatus(email, verified) {
+        if (!this.can(Role.PERMISSIONS.USERS_MANAGE)) {
+            return { success: false, message: 'No tienes permisos para modificar cuentas' };
+        }
+
+        const user = this.userRepository.findByEmail(email);
+        if (!user) {
+            return { success: false, message: 'Usuario no encontrado' };
+        }
+
+        if (verified) {
+            this.codeService.revoke(email, 'email_verification');
+        } else {
+            if (user.id === this.getCurrentUser().id) {
+                return { success: false, message: 'No puedes marcar tu propia cuenta como pendiente' };
+            }
+            this.sessionRegistry.revokeAllForUser(user.id);
+        }
+
+        this.userRepository.setUserVerified(email, verified);
+        return {
+            success: true,
+            message: verified ? 'Cuenta marcada como verificada' : 'Cuenta marcada como pendiente'
+        };
+    }
+
+    /**
+     * Inicia sesión de un usuario
+     * Verifica credenciales y establece la sesión
+     * Si hay demasiados intentos fallidos retorna { locked/throttled, retryAfter }
+     * Si la cuenta tiene 2FA retorna { requiresTwoFactor, challengeId } y el login
+     * se completa con completeTwoFactorLogin()
+     * Si un administrador exigió cambiar la contraseña retorna { requiresPasswordChange, challengeId }
+     * y el login se completa con completePasswordChange()
+     * Con remember = true la sesión es persistente ("Recordarme"); si no, termina al cerrar el navegador
+     */
+    async login(email, password, remember = false) {
+        // Comprobamos el límite de intentos antes de verificar nada
+        const throttle = this.loginThrottle.check(email);
+        if (!throttle.allowed) {
+            this.auditLoginFailure(email, throttle.reason);
+            return this.throttledResult(throttle.reason === 'locked', throttle.retryAfter);
+        }
+
+        // Buscamos el usuario por email
+        // (los emails inexistentes también cuentan como fallo para no revelar qué cuentas existen)
+        const user = this.userRepository.findByEmail(email);
+
+        // Verificamos la contraseña
+        if (!user || !(await user.checkPassword(password))) {
+            this.auditLoginFailure(email, user ? 'wrong_password' : 'unknown_account');
+            const failure = this.loginThrottle.recordFailure(email);
+            if (failure.locked) {
+                return this.throttledResult(true, failure.retryAfter);
+            }
+
+            return {
+                success: false,
+                message: 'Correo o contraseña incorrectos',
+                user: null
+            };
+        }
+
+        // Las cuentas sin verificar no pueden iniciar sesión
+        if (!user.isVerified()) {
+            this.auditLoginFailure(user.email, 'unverified');
+            return {
+                success: false,
+                needsVerification: true,
+                message: 'Debes verificar tu correo antes de iniciar sesión',
+                user: null
+            };
+        }
+
+        // Las cuentas desactivadas por un administrador no pueden entrar
+        if (user.isDisabled()) {
+            this.auditLoginFailure(user.email, 'disabled');
+            return {
+                success: false,
+                disabled: true,
+                message: 'Esta cuenta está desactivada. Contacta con un administrador',
+                user: null
+            };
+        }
+
+        // Migramos contraseñas heredadas o con parámetros antiguos
+        if (user.needsRehash()) {
+            try {
+                await this.userRepository.upgradePassword(user, password);
+            } catch (error) {
+                console.error('Error al migrar contraseña:', error);
+            }
+        }
+
+        // Segundo paso: la contraseña es correcta pero falta el código TOTP
+        // (los contadores de fallos no se reinician hasta completar ambos pasos)
+        if (user.hasTwoFactor()) {
+            return {
+                success: false,
+                requiresTwoFactor: true,
+                challengeId: this.startChallenge('two_factor', user, remember),
+                message: 'Introduce el código de tu aplicación de autenticación',
+                user: null
+            };
+        }
+
+        return this.finishLogin(user, remember);
+    }
+
+    /**
+     * Deja el login a medias a la espera de otro paso
+     * Retorna el id del reto, que el paso siguiente debe presentar
+     */
+    startChallenge(type, user, remember) {
+        this.pendingChallenge = {
+            id: CryptoUtils.randomId(),
+            type: type,
+            userId: user.id,
+            email: user.email,
+            remember: remember,
+            expiresAt: Date.now() + this.TWO_FACTOR_CHALLENGE_TTL
+        };
+        return this.pendingChallenge.id;
+    }
+
+    /**
+     * Retorna el reto pendiente si coincide con el id y el tipo y no ha caducado
+     */
+    getChallenge(type, challengeId) {
+        const challenge = this.pendingChallenge;
+        if (!challenge || challenge.type !== type || challenge.id !== challengeId || challenge.expiresAt <= Date.now()) {
+            this.pendingChallenge = null;
+            return null;
+        }
+        return challenge;
+    }
+
+    /**
+     * Tras verificar todos los factores: exige el cambio de contraseña pendiente
+     * o completa el login
+     */
+    async finishLogin(user, remember) {
+        const expired = this.passwordPolicy.isExpired(user);
+        if (user.mustChangePassword || expired) {
+            return {
+                success: false,
+                requiresPasswordChange: true,
+                challengeId: this.startChallenge('password_change', user, remember),
+                message: user.mustChangePassword
+                    ? 'Un administrador te pide que cambies la contraseña antes de continuar'
+                    : 'Tu contraseña ha caducado. Elige una nueva para continuar',
+                user: null
+            };
+        }
+
+        return this.completeLogin(user, remember);
+    }
+
+    /**
+     * Paso de cambio de contraseña obligatorio durante el login
+     */
+    async completePasswordChange(challengeId, newPassword, newPasswordConfirm) {
+        const challenge = this.getChallenge('password_change', challengeId);
+        const user = challenge && this.userRepository.findById(challenge.userId);
+        if (!user) {
+            return {
+                success: false,
+                expired: true,
+                message: 'La verificación caducó, vuelve a iniciar sesión',
+                user: null
+            };
+        }
+
+        if (newPassword !== newPasswordConfirm) {
+            return { success: false, message: 'Las contraseñas no coinciden', user: null };
+        }
+
+        const policyCheck = this.passwordPolicy.check(newPassword, user);
+        if (!policyCheck.valid) {
+            return { success: false, message: policyCheck.message, unmet: policyCheck.unmet, user: null };
+        }
+
+        if (await user.checkPassword(newPassword)) {
+            return { success: false, message: 'La nueva contraseña debe ser distinta de la actual', user: null };
+        }
+
+        const passwordHash = await CryptoUtils.hashPassword(newPassword);
+        this.userRepository.updateUser(user.email, {
+            passwordHash: passwordHash,
+            mustChangePassword: false
+        });
+        this.audit(AuditLog.TYPES.PASSWORD_CHANGE, { target: user.email, details: { method: 'required' } });
+
+        this.pendingChallenge = null;
+        return this.completeLogin(user, challenge.remember);
+    }
+
+    /**
+     * Segundo paso del login: verifica el código TOTP o un código de recuperación
+     */
+    async completeTwoFactorLogin(challengeId, code) {
+        const challenge = this.getChallenge('two_factor', challengeId);
+        if (!challenge) {
+            return {
+                success: false,
+                expired: true,
+                message: 'La verificación caducó, vuelve a iniciar sesión',
+                user: null
+            };
+        }
+
+        const throttle = this.loginThrottle.check(challenge.email);
+        if (!throttle.allowed) {
+            this.auditLoginFailure(challenge.email, throttle.reason);
+            return this.throttledResult(throttle.reason === 'locked', throttle.retryAfter);
+        }
+
+        const user = this.userRepository.findById(challenge.userId);
+        const factor = user ? await this.verifySecondFactor(user, code) : null;
+
+        if (!factor) {
+            this.auditLoginFailure(challenge.email, 'wrong_second_factor');
+            const failure = this.loginThrottle.recordFailure(challenge.email);
+            if (failure.locked) {
+                this.pendingChallenge = null;
+                return this.throttledResult(true, failure.retryAfter);
+            }
+
+            return {
+                success: false,
+                message: 'El código no es correcto',
+                user: null
+            };
+        }
+
+        this.pendingChallenge = null;
+        const result = await this.finishLogin(user, challenge.remember);
+
+        if (factor.method === 'recovery') {
+            result.recoveryCodesRemaining = factor.remaining;
+        }
+        return result;
+    }
+
+    /**
+     * Último paso común del login: limpia los fallos y emite la sesión
+     */
+    async completeLogin(user, remember = false) {
+        this.loginThrottle.recordSuccess(user.email);
+
+        // Emitimos el token firmado y establecemos el usuario actual
+        await this.createSession(user, remember);
+        this.audit(AuditLog.TYPES.LOGIN_SUCCESS, { target: user.email, details: { remember: remember } });
+
+        return {
+            success: true,
+            message: `¡Bienvenido ${user.name}!`,
+            mustEnrollTwoFactor: this.isTwoFactorEnrollmentRequired(user),
+            user: user
+        };
+    }
+
+    /**
+     * Verifica un código TOTP o de recuperación para el usuario
+     * Retorna { method: 'totp' | 'recovery', remaining } o null si no es válido
+     */
+    async verifySecondFactor(user, code) {
+        if (!user.hasTwoFactor()) {
+            return null;
+        }
+
+        const twoFactor = user.twoFactor;
+        const trimmed = String(code || '').trim();
+
+        // Código de la app (6 dígitos)
+        if (/^\d{6}$/.test(trimmed.replace(/\s/g, ''))) {
+            const step = await TotpService.verify(twoFactor.secret, trimmed, twoFactor.lastUsedStep);
+            if (step === null) {
+                return null;
+            }
+
+            this.userRepository.updateUser(user.email, {
+                twoFactor: { ...twoFactor, lastUsedStep: step }
+            });
+            return { method: 'totp', remaining: twoFactor.recoveryCodes.length };
+        }
+
+        // Código de recuperación (de un solo uso)
+        const hash = await CryptoUtils.sha256(TotpService.normalizeRecoveryCode(trimmed));
+        const index = twoFactor.recoveryCodes.findIndex(saved => CryptoUtils.timingSafeEqual(saved, hash));
+        if (index === -1) {
+            return null;
+        }
+
+        const recoveryCodes = twoFactor.recoveryCodes.filter((_, i) => i !== index);
+        this.userRepository.updateUser(user.email, {
+            twoFactor: { ...twoFactor, recoveryCodes: recoveryCodes }
+        });
+        return { method: 'recovery', remaining: recoveryCodes.length };
+    }
+
+    /**
+     * Indica si la política obliga a este usuario a activar 2FA y aún no lo hizo
+     */
+    isTwoFactorEnrollmentRequired(user) {
+        return !!user &&
+            this.settings.get('requireAdminTwoFactor') &&
+            user.hasRole(Role.ADMIN) &&
+            !user.hasTwoFactor();
+    }
+
+    /**
+     * Inicia el alta de 2FA: genera un secreto pendiente de confirmar
+     * Retorna el secreto y la URI otpauth:// para el QR
+     */
+    async beginTwoFactorEnrollment() {
+        const user = this.getCurrentUser();
+        if (!user) {
+            return { success: false, message: 'Debes iniciar sesión' };
+        }
+
+        if (user.hasTwoFactor()) {
+            return { success: false, message: 'La verificación en dos pasos ya está activa' };
+        }
+
+        const secret = TotpService.generateSecret();
+        this.userRepository.updateUser(user.email, {
+            twoFactor: { enabled: false, pendingSecret: secret }
+        });
+
+        return {
+            success: true,
+            secret: secret,
+            uri: TotpService.buildUri(secret, user.email)
+        };
+    }
+
+    /**
+     * Confirma el alta de 2FA con el primer código de la app
+     * Retorna los códigos de recuperación en claro (solo se muestran esta vez)
+     */
+    async confirmTwoFactorEnrollment(code) {
+        const user = this.getCurrentUser();
+        const pendingSecret = user && user.twoFactor && user.twoFactor.pendingSecret;
+        if (!pendingSecret) {
+            return { success: false, message: 'No hay un alta de 2FA en curso' };
+        }
+
+        const step = await TotpService.verify(pendingSecret, code);
+        if (step === null) {
+            return { success: false, message: 'El código no es correcto. Comprueba la hora del dispositivo' };
+        }
+
+        const recoveryCodes = TotpService.generateRecoveryCodes();
+        this.userRepository.updateUser(user.email, {
+            twoFactor: {
+                enabled: true,
+                secret: pendingSecret,
+                lastUsedStep: step,
+                recoveryCodes: await this.hashRecoveryCodes(recoveryCodes),
+                enabledAt: new Date().toISOString()
+            }
+        });
+
+        return {
+            success: true,
+            message: 'Verificación en dos pasos activada',
+            recoveryCodes: recoveryCodes
+        };
+    }
+
+    /**
+     * Genera códigos de recuperación nuevos (invalida los anteriores)
+     */
+    async regenerateRecoveryCodes(password) {
+        const user = this.getCurrentUser();
+        if (!user || !user.hasTwoFactor()) {
+            return { success: false, message: 'La verificación en dos pasos no está activa' };
+        }
+
+        if (!(await user.checkPassword(password))) {
+            return { success: false, message: 'La contraseña es incorrecta' };
+        }
+
+        const recoveryCodes = TotpService.generateRecoveryCodes();
+        this.userRepository.updateUser(user.email, {
+            twoFactor: { ...user.twoFactor, recoveryCodes: await this.hashRecoveryCodes(recoveryCodes) }
+        });
+
+        return {
+            success: true,
+            message: 'Códigos de recuperación regenerados',
+            recoveryCodes: recoveryCodes
+        };
+    }
+
+    /**
+     * Desactiva 2FA del usuario actual (requiere la contraseña)
+     */
+    async disableTwoFactor(password) {
+        const user = this.getCurrentUser();
+        if (!user || !user.hasTwoFactor()) {
+            return { success: false, message: 'La verificación en dos pasos no está activa' };
+        }
+
+        if (!(await user.checkPassword(password))) {
+            return { success: false, message: 'La contraseña es incorrecta' };
+        }
+
+        if (this.settings.get('requireAdminTwoFactor') && user.hasRole(Role.ADMIN)) {
+            return { success: false, message: 'La política de seguridad exige 2FA a los administradores' };
+        }
+
+        this.userRepository.updateUser(user.email, { twoFactor: null });
+        return { success: true, message: 'Verificación en dos pasos desactivada' };
+    }
+
+    /**
+     * Quita el 2FA de otra cuenta, por ejemplo si perdió el dispositivo (acción de administrador)
+     */
+    resetTwoFactor(email) {
+        if (!this.can(Role.PERMISSIONS.USERS_MANAGE)) {
+            return { success: false, message: 'No tienes permisos para modificar cuentas' };
+        }
+
+        const updated = this.userRepository.updateUser(email, { twoFactor: null });
+        return {
+            success: updated,
+            message: updated ? 'Verificación en dos pasos eliminada' : 'Usuario no encontrado'
+        };
+    }
+
+    /**
+     * Indica si la cuenta es el último administrador activo
+     * (no se puede degradar, desactivar ni eliminar: nadie podría administrar)
+     */
+    isLastActiveAdmin(user) {
+        if (!user.hasRole(Role.ADMIN) || user.isDisabled()) {
+            return false;
+        }
+        return this.userRepository.findByRole(Role.ADMIN).filter(admin => !admin.isDisabled()).length <= 1;
+    }
+
+    /**
+     * Edita el nombre y el rol de una cuenta (acción de administrador)
+     */
+    updateAccount(email, data) {
+        if (!this.can(Role.PERMISSIONS.USERS_MANAGE)) {
+            return { success: false, message: 'No tienes permisos para modificar cuentas' };
+        }
+
+        const user = this.userRepository.findByEmail(email);
+        if (!user) {
+            return { success: false, message: 'Usuario no encontrado' };
+        }
+
+        const name = (data.name || '').trim();
+        const nameError = UserSchema.validateField('name', name);
+        if (nameError) {
+            return { success: false, message: nameError };
+        }
+
+        if (!Role.isValid(data.role)) {
+            return { success: false, message: 'Rol no válido' };
+        }
+
+        if (data.role !== Role.ADMIN && this.isLastActiveAdmin(user)) {
+            return { success: false, message: 'No se puede quitar el rol al último administrador' };
+        }
+
+        this.userRepository.updateUser(email, { name: name, role: data.role });
+        return { success: true, message: 'Usuario actualizado' };
+    }
+
+    /**
+     * Desactiva o reactiva una cuenta (acción de administrador)
+     * Desactivarla revoca además sus sesiones recordadas
+     */
+    setAccountDisabled(email, disabled) {
+        if (!this.can(Role.PERMISSIONS.USERS_MANAGE)) {
+            return { success: false, message: 'No tienes permisos para modificar cuentas' };
+        }
+
+        const user = this.userRepository.findByEmail(email);
+        if (!user) {
+            return { success: false, message: 'Usuario no encontrado' };
+        }
+
+        if (disabled) {
+            if (user.id === this.getCurrentUser().id) {
+                return { success: false, message: 'No puedes desactivar tu propia cuenta' };
+            }
+            if (this.isLastActiveAdmin(user)) {
+                return { success: false, message: 'No se puede desactivar al último administrador' };
+            }
+            this.sessionRegistry.revokeAllForUser(user.id);
+        }
+
+        this.userRepository.updateUser(email, { disabled: disabled });
+        return {
+            success: true,
+            message: disabled ? 'Cuenta desactivada' : 'Cuenta reactivada'
+        };
+    }
+
+    /**
+     * Elimina una cuenta (acción de administrador)
+     * Sus sesiones, códigos pendientes e intentos fallidos se eliminan con ella
+     */
+    deleteAccount(email) {
+        if (!this.can(Role.PERMISSIONS.USERS_MANAGE)) {
+            return { success: false, message: 'No tienes permisos para eliminar cuentas' };
+        }
+
+        const user = this.userRepository.findByEmail(email);
+        if (!user) {
+            return { success: false, message: 'Usuario no encontrado' };
+        }
+
+        if (user.id === this.getCurrentUser().id) {
+            return { success: false, message: 'No puedes eliminar tu propia cuenta' };
+        }
+
+        if (this.isLastActiveAdmin(user)) {
+            return { success: false, message: 'No se puede eliminar al último administrador' };
+        }
+
+        this.userRepository.deleteUser(email);
+        this.audit(AuditLog.TYPES.USER_DELETED, { target: user.email, details: { name: user.name, role: user.role } });
+        this.sessionRegistry.revokeAllForUser(user.id);
+        this.codeService.revoke(email);
+        this.loginThrottle.unlock(email);
+
+        return { success: true, message: 'Usuario eliminado' };
+    }
+
+    /**
+     * Exige (o deja de exigir) un cambio de contraseña en el próximo login
+     * Exigirlo revoca además sus sesiones recordadas: el cambio se pide al volver a entrar
+     */
+    setPasswordChangeRequired(email, required) {
+        if (!this.can(Role.PERMISSIONS.USERS_MANAGE)) {
+            return { success: false, message: 'No tienes permisos para modificar cuentas' };
+        }
+
+        const user = this.userRepository.findByEmail(email);
+        if (!user) {
+            return { success: false, message: 'Usuario no encontrado' };
+        }
+
+        if (required) {
+            if (user.id === this.getCurrentUser().id) {
+                return { success: false, message: 'Para cambiar tu propia contraseña usa tu perfil' };
+            }
+            this.sessionRegistry.revokeAllForUser(user.id);
+        }
+
+        this.userRepository.updateUser(email, { mustChangePassword: required });
+        return {
+            success: true,
+            message: required ? 'Deberá cambiar la contraseña en su próximo inicio de sesión' : 'Cambio de contraseña cancelado'
+        };
+    }
+
+    /**
+     * Analiza un CSV de usuarios sin importar nada (acción de administrador)
+     * Retorna { success, message, rows: [{ row, name, email, role, status, errors }], summary }
+     * status: 'accepted', 'rejected' (con los motivos) o 'duplicate'
+     */
+    previewUserImport(csvText) {
+        if (!this.can(Role.PERMISSIONS.USERS_MANAGE)) {
+            return { success: false, message: 'No tienes permisos para importar usuarios' };
+        }
+
+        const parsed = this.parseUserImport(csvText);
+        if (!parsed.success) {
+            return parsed;
+        }
+
+        return {
+            ...parsed,
+            rows: parsed.rows.map(({ user, ...row }) => row)
+        };
+    }
+
+    /**
+     * Lee las filas de un CSV de usuarios y crea (sin guardar) las cuentas aceptadas
+     * La cabecera admite el nombre interno del campo o su etiqueta ("email", "Nombre", "Rol"...).
+     * Cada fila se valida con User.validate y la política de contraseñas, usando la
+     * contraseña temporal que tendrá la cuenta si se importa
+     */
+    parseUserImport(csvText) {
+        const [header, ...dataRows] = CsvUtils.parse(csvText);
+        if (!header || dataRows.length === 0) {
+            return { success: false, message: 'El archivo no contiene usuarios' };
+        }
+
+        // Nombres aceptados para cada columna, comparados sin tildes ni mayúsculas
+        const aliases = {};
+        UserRepository.CSV_COLUMNS.forEach(field => {
+            const label = field === 'role' ? 'Rol' : UserSchema.FIELDS[field].label;
+            aliases[CsvUtils.normalizeName(field)] = field;
+            aliases[CsvUtils.normalizeName(label)] = field;
+        });
+        const columns = header.map(title => aliases[CsvUtils.normalizeName(title)] || null);
+
+        if (!columns.includes('name') || !columns.includes('email')) {
+            return { success: false, message: 'El archivo debe tener las columnas "name" (Nombre) y "email"' };
+        }
+
+        const seen = new Map();
+        const rows = dataRows.map((cells, index) => {
+            const data = {};
+            columns.forEach((field, i) => {
+                if (field) data[field] = (cells[i] || '').trim();
+            });
+
+            const user = new User(data.name, data.email, null);
+            UserSchema.PROFILE_FIELDS.forEach(field => {
+                if (data[field]) user[field] = data[field];
+            });
+
+            const errors = [];
+            if (data.role) {
+                const role = Role.getAll().find(value =>
+                    [value, Role.getLabel(value)].some(name => CsvUtils.normalizeName(name) === CsvUtils.normalizeName(data.role))
+                );
+                if (role) {
+                    user.role = role;
+                } else {
+                    errors.push(`Rol no válido: ${data.role}`);
+                }
+            }
+
+            user.password = this.passwordPolicy.generate(user);
+            errors.push(...user.validate(this.passwordPolicy).errors);
+
+            let status = errors.length > 0 ? 'rejected' : 'accepted';
+            if (status === 'accepted') {
+                const key = user.getEmailKey();
+                if (this.userRepository.findByEmail(user.email)) {
+                    status = 'duplicate';
+                    errors.push('Ya existe una cuenta con este email');
+                } else if (seen.has(key)) {
+                    status = 'duplicate';
+                    errors.push(`Repetido en la fila ${seen.get(key)}`);
+                } else {
+                    seen.set(key, index + 1);
+                }
+            }
+
+            return {
+                row: index + 1,
+                name: data.name || '',
+                email: data.email || '',
+                role: user.role,
+                status,
+                errors,
+                user
+            };
+        });
+
+        const count = status => rows.filter(row => row.status === status).length;
+        return {
+            success: true,
+            message: `${rows.length} fila(s) leídas`,
+            rows,
+            summary: {
+                accepted: count('accepted'),
+                rejected: count('rejected'),
+                duplicate: count('duplicate')
+            }
+        };
+    }
+
+    /**
+     * Importa las cuentas aceptadas de un CSV (acción de administrador)
+     * El CSV se vuelve a validar, por si las cuentas cambiaron desde la vista previa.
+     * Las cuentas quedan verificadas (las da de alta un administrador) y según credentials:
+     * - 'temporary': con una contraseña temporal que se devuelve para entregarla
+     *   y que deberán cambiar en el primer inicio de sesión
+     * - 'reset_link': se envía a cada usuario un enlace para elegir su contraseña
+     * Retorna { success, message, created: [{ name, email, temporaryPassword, emailSent }], failed, summary }
+     */
+    async importUsers(csvText, { credentials = 'temporary' } = {}) {
+        if (!this.can(Role.PERMISSIONS.USERS_MANAGE)) {
+            return { success: false, message: 'No tienes permisos para importar usuarios' };
+        }
+
+        const parsed = this.parseUserImport(csvText);
+        if (!parsed.success) {
+            return parsed;
+        }
+
+        const created = [];
+        const failed = [];
+        for (const { user } of parsed.rows.filter(row => row.status === 'accepted')) {
+            const password = user.password;
+            user.markVerified();
+            user.mustChangePassword = credentials === 'temporary';
+
+            try {
+                await user.setPassword(password);
+            } catch (error) {
+                console.error('Error al hashear contraseña:', error);
+                failed.push({ email: user.email, message: 'No se pudo proteger la contraseña' });
+                continue;
+            }
+
+            const added = await this.userRepository.addUserDurably(user);
+            if (!added.success) {
+                failed.push({
+                    email: user.email,
+                    message: added.duplicate
+                        ? 'Ya existe una cuenta con este email'
+                        : 'No se pudo guardar la cuenta en el almacenamiento del navegador'
+                });
+                continue;
+            }
+
+            const sent = credentials === 'reset_link' ? await this.sendAccountInvitation(user) : null;
+            created.push({
+                name: user.name,
+                email: user.email,
+                temporaryPassword: credentials === 'temporary' ? password : null,
+                emailSent: sent ? sent.success : null
+            });
+        }
+
+        this.audit(AuditLog.TYPES.USER_IMPORT, {
+            details: { ...parsed.summary, created: created.length, failed: failed.length, credentials }
+        });
+
         return {
-            success: true,
-            message: '¡Cuenta creada exitosamente!',
-            errors: []
+            success: created.length > 0,
+            message: `${created.length} usuario(s) importado(s)` + (failed.length ? `, ${failed.length} con errores` : ''),
+            created,
+            failed,
+            summary: parsed.summary
         };
     }
 
     /**
-     * Inicia sesión de un usuario
-     * Verifica credenciales y establece la sesión
+     * Envía a una cuenta importada el enlace para elegir su contraseña
+     * Es un código de recuperación que dura lo mismo que un enlace de verificación
      */
-    login(email, password) {
-        // Buscamos el usuario por email
-        const user = this.userRepository.findByEmail(email);
+    async sendAccountInvitation(user) {
+        const code = await this.codeService.issue('password_reset', user.email, {
+            ttl: this.VERIFICATION_TTL
+        });
 
-        if (!user) {
-            return {
-                success: false,
-                message: 'Correo o contraseña incorrectos',
-                user: null
-            };
-        }
+        const link = this.buildLink('recuperar.html', { email: user.email, code: code });
+        return this.mailService.send(
+            user.email,
+            'PrintConnect - Tu cuenta está lista',
+            `Hola ${user.name},\n\n` +
+            'Un administrador ha creado tu cuenta de PrintConnect. Para elegir tu contraseña abre este enlace:\n' +
+            `${link}\n\n` +
+            `También puedes introducir el código ${code} en la página de recuperación. ` +
+            `Caduca en ${Math.round(this.VERIFICATION_TTL / 3600000)} horas.`
+        );
+    }
 
-        // Verificamos la contraseña
-        if (!user.checkPassword(password)) {
-            return {
-                success: false,
-                message: 'Correo o contraseña incorrectos',
-                user: null
-            };
+    /**
+     * Lista de usuarios como filas CSV, sin datos de contraseña (acción de administrador)
+     */
+    exportUsers() {
+        if (!this.can(Role.PERMISSIONS.USERS_MANAGE)) {
+            return { success: false, message: 'No tienes permisos para exportar usuarios' };
         }
 
-        // Establecemos el usuario actual (esto guarda en localStorage)
-        this.userRepository.setCurrentUser(user);
+        const rows = this.userRepository.toCsvRows();
+        this.audit(AuditLog.TYPES.USER_EXPORT, { details: { users: rows.length - 1 } });
+        return { success: true, message: `${rows.length - 1} usuario(s) exportado(s)`, rows };
+    }
+
+    /**
+     * Hashea los códigos de recuperación para guardarlos
+     */
+    async hashRecoveryCodes(codes) {
+        return Promise.all(codes.map(code => CryptoUtils.sha256(TotpService.normalizeRecoveryCode(code))));
+    }
+
+    /**
+     * Registra un evento de auditoría
+     * El actor por defecto es el usuario actual o, sin sesión, el propio objetivo
+     * (ej: quien se registra o restablece su contraseña)
+     */
+    audit(type, { actor, target = null, details = null } = {}) {
+        const current = this.userRepository.getCurrentUser();
+        return this.auditLog.record(type, {
+            actor: actor !== undefined ? actor : (current ? current.email : target),
+            target: target,
+            details: details
+        });
+    }
 
-        // Guardamos timestamp del login para control de sesión
-        this.saveLoginTime();
+    /**
+     * Registra un login fallido (sin actor: quien lo intenta no está identificado)
+     */
+    auditLoginFailure(email, reason) {
+        return this.audit(AuditLog.TYPES.LOGIN_FAILURE, { actor: null, target: email, details: { reason: reason } });
+    }
 
+    /**
+     * Resultado de un login rechazado por bloqueo o por espera entre intentos
+     */
+    throttledResult(locked, retryAfter) {
+        const wait = LoginThrottle.formatWait(retryAfter);
         return {
-            success: true,
-            message: `¡Bienvenido ${user.name}!`,
-            user: user
+            success: false,
+            locked: locked,
+            throttled: true,
+            retryAfter: retryAfter,
+            message: locked
+                ? `Demasiados intentos fallidos. Cuenta bloqueada temporalmente, inténtalo de nuevo en ${wait}`
+                : `Espera ${wait} antes de volver a intentarlo`,
+            user: null
+        };
+    }
+
+    /**
+     * Desbloquea una cuenta bloqueada por intentos fallidos (acción de administrador)
+     */
+    unlockAccount(email) {
+        if (!this.can(Role.PERMISSIONS.USERS_MANAGE)) {
+            return { success: false, message: 'No tienes permisos para desbloquear cuentas' };
+        }
+
+        const unlocked = this.loginThrottle.unlock(email);
+        return {
+            success: unlocked,
+            message: unlocked ? 'Cuenta desbloqueada' : 'La cuenta no estaba bloqueada'
         };
     }
 
     /**
      * Cierra la sesión del usuario actual
+     * auditType: evento de auditoría que se registra (SESSION_EXPIRED si caducó)
      */
-    logout() {
+    logout(auditType = AuditLog.TYPES.LOGOUT) {
         if (!this.userRepository.isUserLoggedIn()) {
             return {
                 success: false,
@@ -102,9 +1131,17 @@ class AuthService {
             };
         }
 
-        // Limpiamos el usuario actual (esto limpia el localStorage)
+        this.audit(auditType, { target: this.userRepository.getCurrentUser().email });
+
+        // Una sesión persistente deja de valer también en el registro
+        if (this.session && this.session.payload.persistent) {
+            this.sessionRegistry.revoke(this.session.payload.jti);
+        }
+
+        // Limpiamos el usuario actual (esto limpia el token guardado)
         this.userRepository.clearCurrentUser();
-        this.clearLoginTime();
+        this.session = null;
+        this.announceSession();
 
         return {
             success: true,
@@ -118,8 +1155,7 @@ class AuthService {
      */
     getCurrentUser() {
         // Verificamos si la sesión sigue válida
-        if (this.isSessionExpired()) {
-            this.logout();
+        if (!this.checkSession()) {
             return null;
         }
         return this.userRepository.getCurrentUser();
@@ -129,69 +1165,358 @@ class AuthService {
      * Verifica si hay un usuario logueado con sesión válida
      */
     isLoggedIn() {
-        if (this.isSessionExpired()) {
-            this.logout();
+        return this.checkSession() && this.userRepository.isUserLoggedIn();
+    }
+
+    /**
+     * Crea una sesión firmada para el usuario
+     * El token incluye el id del usuario, la fecha de emisión y la de expiración
+     *
+     * Las sesiones persistentes ("Recordarme") duran los días configurados sin
+     * cierre por inactividad y quedan en el registro para poder revocarlas
+     */
+    async createSession(user, persistent = false) {
+        const now = Date.now();
+        const payload = persistent
+            ? {
+                sub: user.id,
+                iat: now,
+                exp: now + this.getRememberMeAge(),
+                maxExp: now + this.getRememberMeAge(),
+                jti: CryptoUtils.randomId(),
+                persistent: true
+            }
+            : {
+                sub: user.id,
+                iat: now,
+                exp: Math.min(now + this.getIdleTimeout(), now + this.getMaxSessionAge()),
+                maxExp: now + this.getMaxSessionAge(),
+                jti: CryptoUtils.randomId()
+            };
+
+        const token = await this.tokenService.sign(payload);
+        if (persistent) {
+            this.sessionRegistry.add(payload);
+        }
+
+        this.userRepository.setCurrentUser(user, token, persistent);
+        this.session = { token, payload };
+        this.announceSession();
+        return this.session;
+    }
+
+    /**
+     * Avisa de que la sesión cambió de usuario (EventBus.EVENTS.SESSION_CHANGED)
+     * Renovar o restaurar la sesión de la misma cuenta no cuenta como cambio
+     */
+    announceSession() {
+        const userId = this.session ? this.session.payload.sub : null;
+        if (userId === this.announcedUserId) {
+            return;
+        }
+
+        const previousUserId = this.announcedUserId;
+        this.announcedUserId = userId;
+        this.events.emit(EventBus.EVENTS.SESSION_CHANGED, { userId, previousUserId });
+    }
+
+    /**
+     * Restaura la sesión guardada verificando firma, expiración y usuario
+     * Debe llamarse al arrancar la app, antes de consultar isLoggedIn()
+     */
+    async restoreSession() {
+        const token = this.userRepository.loadSessionToken();
+        this.session = null;
+        this.userRepository.releaseCurrentUser();
+
+        if (!token) {
+            this.announceSession();
+            return null;
+        }
+
+        const payload = await this.tokenService.verify(token);
+        const user = payload && !this.isSessionRevoked(payload)
+            ? this.userRepository.findById(payload.sub)
+            : null;
+
+        if (!user || !this.canKeepSession(payload, user)) {
+            // Token manipulado, caducado, revocado, anterior al último cambio de contraseña
+            // o de un usuario que ya no existe o que ya no puede iniciar sesión
+            console.warn('⚠️ Sesión guardada inválida, se descarta');
+            this.userRepository.clearCurrentUser();
+            this.announceSession();
+            return null;
+        }
+
+        this.userRepository.setCurrentUser(user, token, !!payload.persistent);
+        this.session = { token, payload };
+        this.announceSession();
+        return user;
+    }
+
+    /**
+     * Comprueba que la sesión en memoria siga siendo válida
+     */
+    checkSession() {
+        if (!this.session) {
             return false;
         }
-        return this.userRepository.isUserLoggedIn();
+
+        // Si el token guardado cambió (otra pestaña o edición manual) ya no está verificado
+        if (this.userRepository.loadSessionToken() !== this.session.token) {
+            this.session = null;
+            this.userRepository.releaseCurrentUser();
+            this.announceSession();
+            return false;
+        }
+
+        // Por si esta pestaña no recibió el aviso de la que cambió la cuenta o la contraseña
+        const user = this.userRepository.findById(this.session.payload.sub);
+        if (this.isSessionExpired()
+            || this.isSessionRevoked(this.session.payload)
+            || (user && !this.canKeepSession(this.session.payload, user))) {
+            this.logout(this.isSessionExpired() ? AuditLog.TYPES.SESSION_EXPIRED : AuditLog.TYPES.LOGOUT);
+            return false;
+        }
+
+        return true;
     }
 
     /**
-     * Guarda el tiempo de inicio de sesión
+     * Indica si una sesión persistente fue revocada (ya no está en el registro)
      */
-    saveLoginTime() {
-        try {
-            localStorage.setItem('printconnect_login_time', Date.now().toString());
-        } catch (error) {
-            console.error('Error al guardar tiempo de login:', error);
+    isSessionRevoked(payload) {
+        return !!payload.persistent && !this.sessionRegistry.has(payload.jti);
+    }
+
+    /**
+     * Indica si la sesión de un token puede seguir abierta para su usuario
+     * No si la cuenta ya no podría iniciar sesión (desactivada, pendiente de verificar o
+     * con un cambio de contraseña exigido) o si el token es anterior al último cambio
+     */
+    canKeepSession(payload, user) {
+        return !user.isDisabled()
+            && user.isVerified()
+            && !user.mustChangePassword
+            && !this.isIssuedBeforePasswordChange(payload, user);
+    }
+
+    /**
+     * Indica si un token se emitió antes del último cambio de contraseña de su usuario
+     * Así cambiar o restablecer la contraseña cierra también las sesiones no persistentes
+     */
+    isIssuedBeforePasswordChange(payload, user) {
+        return !!user.passwordChangedAt && payload.iat < new Date(user.passwordChangedAt).getTime();
+    }
+
+    /**
+     * Sesiones persistentes del usuario actual, marcando la de este navegador
+     */
+    getPersistentSessions() {
+        const user = this.getCurrentUser();
+        if (!user) {
+            return [];
+        }
+
+        return this.sessionRegistry.getForUser(user.id).map(entry => ({
+            ...entry,
+            current: entry.id === this.session.payload.jti
+        }));
+    }
+
+    /**
+     * Revoca una sesión persistente del usuario actual
+     * Si es la de este navegador, además cierra la sesión
+     */
+    revokeSession(sessionId) {
+        const user = this.getCurrentUser();
+        const entry = user && this.sessionRegistry.getForUser(user.id).find(s => s.id === sessionId);
+
+        if (!entry) {
+            return { success: false, message: 'Sesión no encontrada' };
+        }
+
+        this.sessionRegistry.revoke(sessionId);
+        const current = sessionId === this.session.payload.jti;
+        if (current) {
+            this.logout();
         }
+
+        return { success: true, current: current, message: 'Sesión revocada' };
     }
 
     /**
-     * Limpia el tiempo de inicio de sesión
+     * Revoca todas las sesiones persistentes del usuario actual
      */
-    clearLoginTime() {
-        try {
-            localStorage.removeItem('printconnect_login_time');
-        } catch (error) {
-            console.error('Error al limpiar tiempo de login:', error);
+    revokeAllSessions() {
+        const user = this.getCurrentUser();
+        if (!user) {
+            return { success: false, message: 'Debes iniciar sesión' };
+        }
+
+        const current = !!this.session.payload.persistent;
+        const count = this.sessionRegistry.revokeAllForUser(user.id);
+        if (current) {
+            this.logout();
+        }
+
+        return { success: true, current: current, message: `${count} sesión(es) revocada(s)` };
+    }
+
+    /**
+     * Verifica si el usuario actual tiene un rol concreto
+     */
+    hasRole(role) {
+        const user = this.getCurrentUser();
+        return !!user && user.hasRole(role);
+    }
+
+    /**
+     * Verifica si el usuario actual tiene un permiso
+     * Ej: authService.can(Role.PERMISSIONS.DATA_DESTROY)
+     */
+    can(permission) {
+        const user = this.getCurrentUser();
+        if (!user) {
+            return false;
         }
+
+        // Un admin obligado a usar 2FA solo tiene permisos básicos hasta activarlo
+        if (this.isTwoFactorEnrollmentRequired(user)) {
+            return Role.can(Role.VIEWER, permission);
+        }
+        return user.can(permission);
+    }
+
+    /**
+     * Paso de arranque: garantiza que exista al menos un administrador
+     * Los datos creados antes de los roles no tienen ninguno, así que
+     * promovemos a la cuenta más antigua
+     */
+    bootstrapAdmin() {
+        const users = this.userRepository.getAllUsers();
+        if (users.length === 0 || this.userRepository.findByRole(Role.ADMIN).length > 0) {
+            return null;
+        }
+
+        const oldest = users.reduce((first, user) =>
+            new Date(user.createdAt) < new Date(first.createdAt) ? user : first
+        );
+
+        this.userRepository.setUserRole(oldest.email, Role.ADMIN);
+        console.log(`👑 ${oldest.email} promovido a administrador (no había ninguno)`);
+        return oldest;
     }
 
     /**
      * Verifica si la sesión ha expirado
-     * Las sesiones expiran después de 24 horas de inactividad
+     * La expiración viaja firmada dentro del token
      */
     isSessionExpired() {
-        try {
-            const loginTime = localStorage.getItem('printconnect_login_time');
-            if (!loginTime) {
-                return false; // Si no hay tiempo guardado, no aplicamos expiración
-            }
+        return !!this.session && Date.now() >= this.session.payload.exp;
+    }
+
+    /**
+     * Milisegundos que le quedan a la sesión actual
+     */
+    getSessionRemaining() {
+        return this.session ? Math.max(0, this.session.payload.exp - Date.now()) : 0;
+    }
 
-            const currentTime = Date.now();
-            const elapsed = currentTime - parseInt(loginTime);
+    /**
+     * Tiempo sin actividad tras el que caduca la sesión (ms)
+     */
+    getIdleTimeout() {
+        return this.settings.get('idleTimeoutMinutes') * 60 * 1000;
+    }
 
-            return elapsed > this.SESSION_DURATION;
-        } catch (error) {
-            console.error('Error al verificar expiración de sesión:', error);
-            return false;
+    /**
+     * Duración máxima de una sesión desde el login, haya actividad o no (ms)
+     */
+    getMaxSessionAge() {
+        return this.settings.get('maxSessionHours') * 60 * 60 * 1000;
+    }
+
+    /**
+     * Duración de una sesión persistente ("Recordarme") (ms)
+     */
+    getRememberMeAge() {
+        return this.settings.get('rememberMeDays') * 24 * 60 * 60 * 1000;
+    }
+
+    /**
+     * Momento en que la sesión actual caduca sí o sí
+     * Los tokens anteriores a este límite no lo llevan firmado: se calcula desde el login
+     */
+    getSessionMaxExpiry() {
+        if (!this.session) {
+            return 0;
         }
+        return this.session.payload.maxExp || this.session.payload.iat + this.getMaxSessionAge();
+    }
+
+    /**
+     * Indica si la actividad todavía puede alargar la sesión actual
+     */
+    canExtendSession() {
+        return !!this.session && this.session.payload.exp < this.getSessionMaxExpiry();
     }
 
     /**
      * Actualiza el tiempo de actividad (para mantener sesión viva)
+     * Emite un token nuevo que caduca tras el tiempo de inactividad,
+     * sin pasar nunca de la duración máxima de la sesión
+     */
+    async refreshSession() {
+        if (!this.isLoggedIn()) {
+            return false;
+        }
+
+        const payload = {
+            ...this.session.payload,
+            exp: Math.min(Date.now() + this.getIdleTimeout(), this.getSessionMaxExpiry())
+        };
+
+        const token = await this.tokenService.sign(payload);
+        this.userRepository.setCurrentUser(this.userRepository.getCurrentUser(), token, !!payload.persistent);
+        this.session = { token, payload };
+        return true;
+    }
+
+    /**
+     * Actualiza el perfil del usuario actual (nombre y campos opcionales)
+     * Solo se tocan los campos presentes en data; '' o null borran un campo opcional
      */
-    refreshSession() {
-        if (this.isLoggedIn()) {
-            this.saveLoginTime();
+    updateProfile(data) {
+        const user = this.getCurrentUser();
+        if (!user) {
+            return { success: false, message: 'Debes estar logueado para editar tu perfil', errors: [] };
+        }
+
+        const fields = ['name', ...UserSchema.PROFILE_FIELDS].filter(field => data[field] !== undefined);
+        const values = UserSchema.normalize(data, fields);
+        const validation = UserSchema.validate(values, fields);
+
+        if (!validation.valid) {
+            return {
+                success: false,
+                message: 'Datos inválidos',
+                errors: validation.errors,
+                fieldErrors: validation.fieldErrors
+            };
+        }
+
+        if (!this.userRepository.updateUser(user.email, values)) {
+            return { success: false, message: 'Error al guardar el perfil', errors: [] };
         }
+
+        return { success: true, message: 'Perfil actualizado', errors: [] };
     }
 
     /**
      * Cambia la contraseña del usuario actual
      */
-    changePassword(currentPassword, newPassword, newPasswordConfirm) {
+    async changePassword(currentPassword, newPassword, newPasswordConfirm) {
         const user = this.getCurrentUser();
         
         if (!user) {
@@ -201,7 +1526,7 @@ class AuthService {
             };
         }
 
-        if (!user.checkPassword(currentPassword)) {
+        if (!(await user.checkPassword(currentPassword))) {
             return {
                 success: false,
                 message: 'La contraseña actual es incorrecta'
@@ -215,19 +1540,28 @@ class AuthService {
             };
         }
 
-        if (newPassword.length < 6) {
+        const policyCheck = this.passwordPolicy.check(newPassword, user);
+        if (!policyCheck.valid) {
             return {
                 success: false,
-                message: 'La contraseña debe tener al menos 6 caracteres'
+                message: policyCheck.message,
+                unmet: policyCheck.unmet
             };
         }
 
-        // Actualizamos la contraseña
+        // Actualizamos la contraseña (solo se guarda el hash)
+        const passwordHash = await CryptoUtils.hashPassword(newPassword);
         const updated = this.userRepository.updateUser(user.email, { 
-            password: newPassword 
+            passwordHash: passwordHash,
+            mustChangePassword: false
         });
 
         if (updated) {
+            this.audit(AuditLog.TYPES.PASSWORD_CHANGE, { target: user.email, details: { method: 'change' } });
+
+            // Las demás sesiones dejan de valer; esta se renueva con un token posterior al cambio
+            this.sessionRegistry.revokeAllForUser(user.id);
+            await this.createSession(user, !!this.session.payload.persistent);
             return {
                 success: true,
                 message: 'Contraseña actualizada exitosamente'
@@ -240,6 +1574,111 @@ class AuthService {
         }
     }
 
+    /**
+     * Solicita la recuperación de contraseña
+     * Envía un código de un solo uso al correo. La respuesta es la misma
+     * exista o no la cuenta, para no revelar qué correos están registrados
+     */
+    async requestPasswordReset(email) {
+        const genericResult = {
+            success: true,
+            message: 'Si el correo está registrado, recibirás un código para restablecer tu contraseña'
+        };
+
+        const user = this.userRepository.findByEmail(email);
+        if (!user) {
+            return genericResult;
+        }
+
+        const code = await this.codeService.issue('password_reset', user.email, {
+            ttl: this.RESET_CODE_TTL
+        });
+
+        const link = this.buildLink('recuperar.html', { email: user.email });
+        const sent = await this.mailService.send(
+            user.email,
+            'PrintConnect - Código para restablecer tu contraseña',
+            `Hola ${user.name},\n\n` +
+            `Tu código para restablecer la contraseña es: ${code}\n` +
+            `Caduca en ${Math.round(this.RESET_CODE_TTL / 60000)} minutos y solo puede usarse una vez.\n\n` +
+            `Introdúcelo en: ${link}\n\n` +
+            'Si no solicitaste este cambio, ignora este mensaje.'
+        );
+
+        if (!sent.success) {
+            return {
+                success: false,
+                message: 'No se pudo enviar el código. Inténtalo más tarde'
+            };
+        }
+
+        return genericResult;
+    }
+
+    /**
+     * Restablece la contraseña consumiendo un código de un solo uso
+     */
+    async resetPassword(email, code, newPassword) {
+        const user = this.userRepository.findByEmail(email);
+        if (!user) {
+            return {
+                success: false,
+                message: 'El código no es válido o ha caducado'
+            };
+        }
+
+        const policyCheck = this.passwordPolicy.check(newPassword, user);
+        if (!policyCheck.valid) {
+            return {
+                success: false,
+                message: policyCheck.message,
+                unmet: policyCheck.unmet
+            };
+        }
+
+        const consumed = await this.codeService.consume('password_reset', user.email, code);
+        if (!consumed.success) {
+            const messages = {
+                invalid: 'El código no es correcto',
+                expired: 'El código no es válido o ha caducado',
+                too_many_attempts: 'Demasiados intentos. Solicita un código nuevo'
+            };
+            return {
+                success: false,
+                message: messages[consumed.reason]
+            };
+        }
+
+        const passwordHash = await CryptoUtils.hashPassword(newPassword);
+        this.userRepository.updateUser(user.email, { passwordHash: passwordHash, mustChangePassword: false });
+        this.audit(AuditLog.TYPES.PASSWORD_CHANGE, { target: user.email, details: { method: 'reset' } });
+
+        // Quien restablece la contraseña puede estar recuperando una cuenta robada:
+        // se cierran todas sus sesiones (las no persistentes caen por ser anteriores al cambio)
+        this.sessionRegistry.revokeAllForUser(user.id);
+
+        // Quien recupera la cuenta no debe seguir bloqueado por los intentos anteriores
+        this.loginThrottle.unlock(user.email);
+
+        return {
+            success: true,
+            message: 'Contraseña restablecida. Ya puedes iniciar sesión'
+        };
+    }
+
+    /**
+     * Construye un enlace absoluto a una página de la app (para los correos)
+     */
+    buildLink(page, params = {}) {
+        const query = new URLSearchParams(params).toString();
+        const path = query ? `${page}?${query}` : page;
+
+        if (typeof window === 'undefined' || !window.location) {
+            return path;
+        }
+        return new URL(path, window.location.href).href;
+    }
+
     /**
      * Obtiene estadísticas del sistema
      */
@@ -247,7 +1686,8 @@ class AuthService {
         return {
             totalUsers: this.userRepository.countUsers(),
             isLoggedIn: this.isLoggedIn(),
-            currentUser: this.getCurrentUser()?.name || null
+            currentUser: this.getCurrentUser()?.name || null,
+            currentUserRole: this.getCurrentUser()?.role || null
         };
     }
 }
\ No newline at end of file
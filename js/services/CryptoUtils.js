@@ -0,0 +1,283 @@
+/**
+ * Clase CryptoUtils
+ * Utilidades criptográficas basadas en WebCrypto (hash de contraseñas, cifrado y codificación)
+ */
+class CryptoUtils {
+    /**
+     * Parámetros por defecto para el hash de contraseñas
+     * Se guardan en cada registro para poder subirlos en el futuro sin romper cuentas existentes
+     */
+    static get PASSWORD_HASH_DEFAULTS() {
+        return {
+            algorithm: 'PBKDF2',
+            hash: 'SHA-256',
+            iterations: 310000,
+            saltBytes: 16,
+            keyLength: 256
+        };
+    }
+
+    /**
+     * Verifica si WebCrypto está disponible
+     * Solo existe en contextos seguros (https, localhost)
+     */
+    static isAvailable() {
+        return typeof crypto !== 'undefined' && !!crypto.subtle && !!crypto.getRandomValues;
+    }
+
+    /**
+     * Genera bytes aleatorios criptográficamente seguros
+     */
+    static randomBytes(length) {
+        const bytes = new Uint8Array(length);
+        crypto.getRandomValues(bytes);
+        return bytes;
+    }
+
+    /**
+     * Convierte bytes a base64
+     */
+    static bytesToBase64(bytes) {
+        let binary = '';
+        const array = new Uint8Array(bytes);
+        for (let i = 0; i < array.length; i++) {
+            binary += String.fromCharCode(array[i]);
+        }
+        return btoa(binary);
+    }
+
+    /**
+     * Convierte base64 a bytes
+     */
+    static base64ToBytes(base64) {
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    /**
+     * Convierte bytes a base64url (seguro para URLs y tokens, sin relleno)
+     */
+    static bytesToBase64Url(bytes) {
+        return this.bytesToBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    /**
+     * Convierte base64url a bytes
+     */
+    static base64UrlToBytes(base64url) {
+        let base64 = base64url.replace(/-/g, '+').replace(/_/g, '/');
+        while (base64.length % 4) {
+            base64 += '=';
+        }
+        return this.base64ToBytes(base64);
+    }
+
+    /**
+     * Genera un identificador aleatorio (UUID v4 cuando está disponible)
+     */
+    static randomId() {
+        if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+            return crypto.randomUUID();
+        }
+        return Array.from(this.randomBytes(16), b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Genera un código numérico aleatorio sin sesgo (ej: códigos de un solo uso)
+     */
+    static randomDigits(length) {
+        let code = '';
+        while (code.length < length) {
+            // Descartamos valores >= 250 para que cada dígito sea equiprobable
+            for (const byte of this.randomBytes(length)) {
+                if (byte < 250 && code.length < length) {
+                    code += String(byte % 10);
+                }
+            }
+        }
+        return code;
+    }
+
+    /**
+     * Calcula el SHA-256 de un texto o de bytes y lo retorna en base64
+     */
+    static async sha256(data) {
+        const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+        const digest = await crypto.subtle.digest('SHA-256', bytes);
+        return this.bytesToBase64(digest);
+    }
+
+    /**
+     * Compara dos cadenas en tiempo constante
+     * Evita filtrar por tiempos de respuesta cuántos caracteres coinciden
+     */
+    static timingSafeEqual(a, b) {
+        if (typeof a !== 'string' || typeof b !== 'string') {
+            return false;
+        }
+
+        let diff = a.length ^ b.length;
+        for (let i = 0; i < a.length; i++) {
+            diff |= a.charCodeAt(i) ^ b.charCodeAt(i % (b.length || 1));
+        }
+        return diff === 0;
+    }
+
+    /**
+     * Deriva el hash de una contraseña con PBKDF2
+     * Retorna el registro completo (algoritmo, parámetros, sal y valor) listo para guardar
+     */
+    static async hashPassword(password, options = {}) {
+        if (!this.isAvailable()) {
+            throw new Error('WebCrypto no está disponible en este navegador');
+        }
+
+        const params = { ...this.PASSWORD_HASH_DEFAULTS, ...options };
+        const salt = options.salt
+            ? this.base64ToBytes(options.salt)
+            : this.randomBytes(params.saltBytes);
+
+        const value = await this.deriveBits(password, salt, params);
+
+        return {
+            algorithm: params.algorithm,
+            hash: params.hash,
+            iterations: params.iterations,
+            keyLength: params.keyLength,
+            salt: this.bytesToBase64(salt),
+            value: this.bytesToBase64(value)
+        };
+    }
+
+    /**
+     * Verifica una contraseña contra un registro generado por hashPassword
+     */
+    static async verifyPassword(password, record) {
+        if (!record || record.algorithm !== 'PBKDF2' || typeof password !== 'string') {
+            return false;
+        }
+
+        try {
+            const salt = this.base64ToBytes(record.salt);
+            const value = await this.deriveBits(password, salt, record);
+            return this.timingSafeEqual(this.bytesToBase64(value), record.value);
+        } catch (error) {
+            console.error('Error al verificar contraseña:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Indica si un registro usa parámetros más débiles que los actuales
+     */
+    static needsRehash(record) {
+        const defaults = this.PASSWORD_HASH_DEFAULTS;
+        return !record ||
+            record.algorithm !== defaults.algorithm ||
+            record.hash !== defaults.hash ||
+            record.iterations < defaults.iterations;
+    }
+
+    /**
+     * Ejecuta PBKDF2 sobre WebCrypto
+     */
+    static async deriveBits(password, salt, params) {
+        const keyMaterial = await crypto.subtle.importKey(
+            'raw',
+            new TextEncoder().encode(password),
+            { name: 'PBKDF2' },
+            false,
+            ['deriveBits']
+        );
+
+        return crypto.subtle.deriveBits(
+            {
+                name: 'PBKDF2',
+                hash: params.hash,
+                salt: salt,
+                iterations: params.iterations
+            },
+            keyMaterial,
+            params.keyLength
+        );
+    }
+
+    /**
+     * Cifra un texto con AES-GCM usando una clave derivada de una frase de paso (PBKDF2)
+     * Retorna el registro con los parámetros, la sal, el IV y el texto cifrado en base64
+     */
+    static async encryptWithPassphrase(text, passphrase, options = {}) {
+        if (!this.isAvailable()) {
+            throw new Error('WebCrypto no está disponible en este navegador');
+        }
+
+        const params = { ...this.PASSWORD_HASH_DEFAULTS, ...options };
+        const salt = this.randomBytes(params.saltBytes);
+        const iv = this.randomBytes(12);
+        const key = await this.deriveEncryptionKey(passphrase, salt, params);
+        const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv: iv }, key, new TextEncoder().encode(text));
+
+        return {
+            algorithm: 'AES-GCM',
+            kdf: 'PBKDF2',
+            hash: params.hash,
+            iterations: params.iterations,
+            salt: this.bytesToBase64(salt),
+            iv: this.bytesToBase64(iv),
+            ciphertext: this.bytesToBase64(ciphertext)
+        };
+    }
+
+    /**
+     * Descifra un registro de encryptWithPassphrase
+     * Lanza un error si la frase de paso no es correcta o el texto cifrado fue modificado
+     * (AES-GCM lo detecta con su etiqueta de autenticación)
+     */
+    static async decryptWithPassphrase(record, passphrase) {
+        if (!record || record.algorithm !== 'AES-GCM' || record.kdf !== 'PBKDF2') {
+            throw new Error('Cifrado no soportado');
+        }
+        // Un archivo manipulado podría pedir un número de iteraciones desorbitado
+        if (!(record.iterations >= 100000 && record.iterations <= 10000000)) {
+            throw new Error('Parámetros de cifrado no válidos');
+        }
+
+        const key = await this.deriveEncryptionKey(passphrase, this.base64ToBytes(record.salt), record);
+        const plaintext = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: this.base64ToBytes(record.iv) },
+            key,
+            this.base64ToBytes(record.ciphertext)
+        );
+        return new TextDecoder().decode(plaintext);
+    }
+
+    /**
+     * Deriva una clave AES-GCM de 256 bits a partir de una frase de paso
+     */
+    static async deriveEncryptionKey(passphrase, salt, params) {
+        const keyMaterial = await crypto.subtle.importKey(
+            'raw',
+            new TextEncoder().encode(passphrase),
+            { name: 'PBKDF2' },
+            false,
+            ['deriveKey']
+        );
+
+        return crypto.subtle.deriveKey(
+            {
+                name: 'PBKDF2',
+                hash: params.hash,
+                salt: salt,
+                iterations: params.iterations
+            },
+            keyMaterial,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+}
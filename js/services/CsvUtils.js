@@ -0,0 +1,104 @@
+/**
+ * Clase CsvUtils
+ * Utilidades para leer, generar y descargar archivos CSV
+ */
+class CsvUtils {
+    /**
+     * Escapa un valor para una celda CSV
+     * Los valores que empiezan por = + - @ se prefijan con ' para que una hoja
+     * de cálculo no los interprete como fórmulas
+     */
+    static escape(value) {
+        let text = value === null || value === undefined ? '' : String(value);
+        if (/^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Convierte filas (arrays de valores) en texto CSV
+     */
+    static stringify(rows) {
+        return rows.map(row => row.map(value => CsvUtils.escape(value)).join(',')).join('\r\n');
+    }
+
+    /**
+     * Convierte texto CSV en filas (arrays de textos)
+     * Admite comillas con comas, saltos de línea y "" dentro, separador ',' o ';'
+     * (el que usa Excel en español) y el BOM inicial. Quita el ' que añade escape()
+     * delante de los valores que parecen fórmulas y descarta las filas vacías
+     */
+    static parse(text) {
+        const input = String(text || '').replace(/^\uFEFF/, '');
+        const firstLine = input.split(/\r?\n/, 1)[0];
+        const separator = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+        const rows = [];
+        let row = [];
+        let value = '';
+        let quoted = false;
+
+        const endValue = () => {
+            row.push(/^'[=+\-@\t\r]/.test(value) ? value.slice(1) : value);
+            value = '';
+        };
+        const endRow = () => {
+            endValue();
+            if (row.some(cell => cell.trim() !== '')) {
+                rows.push(row);
+            }
+            row = [];
+        };
+
+        for (let i = 0; i < input.length; i++) {
+            const char = input[i];
+            if (quoted) {
+                if (char === '"' && input[i + 1] === '"') {
+                    value += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    value += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === separator) {
+                endValue();
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && input[i + 1] === '\n') i++;
+                endRow();
+            } else {
+                value += char;
+            }
+        }
+        endRow();
+
+        return rows;
+    }
+
+    /**
+     * Forma de un texto para comparar cabeceras y valores de un CSV escrito a mano
+     * Sin espacios en los extremos, en minúsculas y sin tildes ("Teléfono " = "telefono")
+     */
+    static normalizeName(text) {
+        return String(text || '').trim().toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    }
+
+    /**
+     * Descarga filas como archivo CSV
+     * Se antepone el BOM para que Excel reconozca UTF-8 (tildes, ñ)
+     */
+    static download(filename, rows) {
+        const blob = new Blob(['\uFEFF' + CsvUtils.stringify(rows)], { type: 'text/csv;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+}
@@ -0,0 +1,131 @@
+/**
+ * Clase EventBus
+ * Eventos de cambio de PrintConnect (usuarios, sesión, almacenamiento) para que la
+ * interfaz se actualice solo cuando algo cambia, en lugar de consultar cada pocos segundos
+ *
+ * Los eventos se entregan a los suscriptores de esta pestaña. Los cambios de
+ * almacenamiento de las demás pestañas también llegan, con remote: true: los de
+ * localStorage por el evento 'storage' del navegador y el resto (IndexedDB) por
+ * BroadcastChannel.
+ */
+class EventBus {
+    constructor() {
+        this.handlers = new Map();
+        // Último detalle de cada tipo, para when() de eventos que ya ocurrieron
+        this.lastDetails = new Map();
+        this.tabId = CryptoUtils.randomId();
+        this.channel = null;
+        this.listening = false;
+    }
+
+    /**
+     * Bus compartido por toda la página (escuchando ya a las demás pestañas)
+     */
+    static getDefault() {
+        if (!EventBus.instance) {
+            EventBus.instance = new EventBus();
+            EventBus.instance.listen();
+        }
+        return EventBus.instance;
+    }
+
+    /**
+     * Tipos de evento y su detalle
+     * APP_READY: { app } al terminar App.init()
+     * USER_ADDED / USER_UPDATED: { id, user }; USER_REMOVED: { id }
+     * SESSION_CHANGED: { userId, previousUserId } al entrar, salir o cambiar de cuenta
+     * STORAGE_CHANGED: { key, remote }
+     */
+    static get EVENTS() {
+        return {
+            APP_READY: 'app_ready',
+            USER_ADDED: 'user_added',
+            USER_UPDATED: 'user_updated',
+            USER_REMOVED: 'user_removed',
+            SESSION_CHANGED: 'session_changed',
+            STORAGE_CHANGED: 'storage_changed'
+        };
+    }
+
+    static get CHANNEL_NAME() {
+        return 'printconnect_events';
+    }
+
+    /**
+     * Suscribe un manejador a un tipo de evento
+     * Retorna una función que cancela la suscripción
+     */
+    on(type, handler) {
+        if (!this.handlers.has(type)) {
+            this.handlers.set(type, new Set());
+        }
+        this.handlers.get(type).add(handler);
+        return () => this.handlers.get(type).delete(handler);
+    }
+
+    /**
+     * Entrega un evento a los suscriptores de esta pestaña
+     * Con broadcast también se envía a las demás (solo cambios de almacenamiento
+     * que el navegador no avisa por sí mismo)
+     */
+    emit(type, detail = {}, { broadcast = false } = {}) {
+        this.lastDetails.set(type, detail);
+
+        // Copia: un manejador puede cancelar su suscripción mientras se recorre
+        for (const handler of [...(this.handlers.get(type) || [])]) {
+            try {
+                handler(detail);
+            } catch (error) {
+                console.error(`Error al procesar el evento ${type}:`, error);
+            }
+        }
+
+        if (broadcast && this.channel) {
+            this.channel.postMessage({ type, detail, tabId: this.tabId });
+        }
+    }
+
+    /**
+     * Promesa que se resuelve con el detalle del evento
+     * Si ya ocurrió, se resuelve enseguida (ej: APP_READY antes de suscribirse)
+     */
+    when(type) {
+        if (this.lastDetails.has(type)) {
+            return Promise.resolve(this.lastDetails.get(type));
+        }
+
+        return new Promise(resolve => {
+            const off = this.on(type, detail => {
+                off();
+                resolve(detail);
+            });
+        });
+    }
+
+    /**
+     * Escucha los cambios de almacenamiento de las demás pestañas (una sola vez)
+     */
+    listen() {
+        if (this.listening || typeof window === 'undefined') {
+            return;
+        }
+        this.listening = true;
+
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.channel = new BroadcastChannel(EventBus.CHANNEL_NAME);
+            this.channel.onmessage = (event) => {
+                const message = event.data;
+                if (message && message.tabId !== this.tabId && message.type === EventBus.EVENTS.STORAGE_CHANGED) {
+                    this.emit(message.type, { ...message.detail, remote: true });
+                }
+            };
+        }
+
+        window.addEventListener('storage', (event) => {
+            // event.key es null cuando otra pestaña vacía todo el localStorage
+            if (event.key === null || event.key.startsWith('printconnect')) {
+                this.emit(EventBus.EVENTS.STORAGE_CHANGED, { key: event.key, remote: true });
+            }
+        });
+    }
+}
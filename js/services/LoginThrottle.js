@@ -0,0 +1,188 @@
+/**
+ * Clase LoginThrottle
+ * Limita los intentos de login fallidos por cuenta y por navegador
+ *
+ * Cada fallo obliga a esperar un tiempo que crece exponencialmente y, al
+ * superar el máximo configurado, la cuenta queda bloqueada temporalmente.
+ */
+class LoginThrottle {
+    constructor(settings = new SecuritySettings()) {
+        this.STORAGE_KEY = 'printconnect_login_attempts';
+        this.settings = settings;
+    }
+
+    /**
+     * Carga los contadores guardados
+     */
+    loadState() {
+        try {
+            const state = JSON.parse(localStorage.getItem(this.STORAGE_KEY) || '{}');
+            return {
+                accounts: state.accounts || {},
+                browser: state.browser || null
+            };
+        } catch (error) {
+            console.error('Error al cargar intentos de login:', error);
+            return { accounts: {}, browser: null };
+        }
+    }
+
+    /**
+     * Guarda los contadores
+     */
+    saveState(state) {
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(state));
+        } catch (error) {
+            console.error('Error al guardar intentos de login:', error);
+        }
+    }
+
+    /**
+     * Clave de la cuenta dentro del estado
+     */
+    accountKey(email) {
+        return User.normalizeEmail(email);
+    }
+
+    /**
+     * Descarta un contador cuyo bloqueo ya terminó (el enfriamiento lo limpia)
+     */
+    expire(entry, now = Date.now()) {
+        if (entry && entry.lockedUntil && entry.lockedUntil <= now) {
+            return null;
+        }
+        return entry;
+    }
+
+    /**
+     * Calcula cuánto falta para poder reintentar con un contador dado
+     */
+    waitFor(entry, now = Date.now()) {
+        if (!entry) {
+            return { reason: null, retryAfter: 0 };
+        }
+
+        if (entry.lockedUntil && entry.lockedUntil > now) {
+            return { reason: 'locked', retryAfter: entry.lockedUntil - now };
+        }
+
+        // Espera exponencial: base, 2·base, 4·base... hasta el máximo
+        const base = this.settings.get('backoffBaseSeconds') * 1000;
+        const max = this.settings.get('backoffMaxSeconds') * 1000;
+        const delay = Math.min(base * Math.pow(2, entry.failures - 1), max);
+        const retryAt = entry.lastFailureAt + delay;
+
+        return retryAt > now
+            ? { reason: 'backoff', retryAfter: retryAt - now }
+            : { reason: null, retryAfter: 0 };
+    }
+
+    /**
+     * Verifica si se permite un intento de login para el email
+     * Retorna { allowed, reason: 'locked' | 'backoff' | null, scope, retryAfter }
+     */
+    check(email) {
+        const now = Date.now();
+        const state = this.loadState();
+        const checks = [
+            { scope: 'account', entry: this.expire(state.accounts[this.accountKey(email)], now) },
+            { scope: 'browser', entry: this.expire(state.browser, now) }
+        ];
+
+        for (const { scope, entry } of checks) {
+            const wait = this.waitFor(entry, now);
+            if (wait.reason) {
+                return { allowed: false, reason: wait.reason, scope, retryAfter: wait.retryAfter };
+            }
+        }
+
+        return { allowed: true, reason: null, scope: null, retryAfter: 0 };
+    }
+
+    /**
+     * Registra un intento fallido
+     * Retorna el estado resultante de la cuenta (bloqueada o intentos restantes)
+     */
+    recordFailure(email) {
+        const now = Date.now();
+        const state = this.loadState();
+        const key = this.accountKey(email);
+        const lockoutMs = this.settings.get('lockoutMinutes') * 60 * 1000;
+
+        const bump = (entry, maxAttempts) => {
+            const current = this.expire(entry, now) || { failures: 0 };
+            const failures = current.failures + 1;
+            return {
+                failures,
+                lastFailureAt: now,
+                lockedUntil: failures >= maxAttempts ? now + lockoutMs : null
+            };
+        };
+
+        const maxAttempts = this.settings.get('maxFailedAttempts');
+        state.accounts[key] = bump(state.accounts[key], maxAttempts);
+        state.browser = bump(state.browser, this.settings.get('browserMaxFailedAttempts'));
+        this.saveState(state);
+
+        const account = state.accounts[key];
+        const locked = state.browser.lockedUntil ? state.browser : account;
+        return {
+            locked: !!locked.lockedUntil,
+            retryAfter: locked.lockedUntil ? locked.lockedUntil - now : 0,
+            remainingAttempts: Math.max(0, maxAttempts - account.failures)
+        };
+    }
+
+    /**
+     * Limpia los contadores tras un login exitoso
+     */
+    recordSuccess(email) {
+        const state = this.loadState();
+        delete state.accounts[this.accountKey(email)];
+        state.browser = null;
+        this.saveState(state);
+    }
+
+    /**
+     * Indica si una cuenta está bloqueada ahora mismo
+     */
+    isLocked(email) {
+        const entry = this.expire(this.loadState().accounts[this.accountKey(email)]);
+        return !!(entry && entry.lockedUntil);
+    }
+
+    /**
+     * Retorna el momento en que termina el bloqueo de una cuenta (o null)
+     */
+    getLockedUntil(email) {
+        const entry = this.expire(this.loadState().accounts[this.accountKey(email)]);
+        return entry && entry.lockedUntil ? entry.lockedUntil : null;
+    }
+
+    /**
+     * Desbloquea una cuenta (acción de administrador)
+     */
+    unlock(email) {
+        const state = this.loadState();
+        const key = this.accountKey(email);
+        if (!state.accounts[key]) {
+            return false;
+        }
+
+        delete state.accounts[key];
+        this.saveState(state);
+        return true;
+    }
+
+    /**
+     * Formatea un tiempo de espera para mostrarlo al usuario
+     */
+    static formatWait(ms) {
+        const seconds = Math.ceil(ms / 1000);
+        if (seconds < 60) {
+            return `${seconds} s`;
+        }
+        return `${Math.ceil(seconds / 60)} min`;
+    }
+}
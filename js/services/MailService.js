@@ -0,0 +1,94 @@
+/**
+ * Clase LocalOutboxTransport
+ * Transporte de correo por defecto: guarda los mensajes en una bandeja local
+ * que los administradores pueden leer desde admin.html (no requiere servidor de correo)
+ */
+class LocalOutboxTransport {
+    constructor() {
+        this.STORAGE_KEY = 'printconnect_outbox';
+    }
+
+    /**
+     * "Envía" un mensaje guardándolo en la bandeja local
+     */
+    async send(message) {
+        try {
+            const messages = this.getMessages();
+            const stored = {
+                id: CryptoUtils.randomId(),
+                ...message,
+                sentAt: new Date().toISOString()
+            };
+            messages.push(stored);
+
+            // StorageQuota limita los mensajes guardados (RETENTION_POLICIES)
+            await StorageQuota.write(this.STORAGE_KEY, messages, data =>
+                localStorage.setItem(this.STORAGE_KEY, JSON.stringify(data))
+            );
+            StorageAdapter.notify(this.STORAGE_KEY);
+            return { success: true, id: stored.id };
+        } catch (error) {
+            console.error('Error al guardar correo en la bandeja local:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Retorna los mensajes de la bandeja (más antiguos primero)
+     */
+    getMessages() {
+        try {
+            return JSON.parse(localStorage.getItem(this.STORAGE_KEY) || '[]');
+        } catch (error) {
+            console.error('Error al leer la bandeja local:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Vacía la bandeja
+     */
+    clear() {
+        localStorage.removeItem(this.STORAGE_KEY);
+        StorageAdapter.notify(this.STORAGE_KEY);
+    }
+}
+
+/**
+ * Clase MailService
+ * Envía correos a través de un transporte intercambiable
+ *
+ * Un transporte es cualquier objeto con un método async send({ to, subject, body })
+ * que retorna { success }. Ej: un transporte HTTP hacia un servicio de correo real.
+ */
+class MailService {
+    constructor(transport = new LocalOutboxTransport()) {
+        this.transport = transport;
+    }
+
+    /**
+     * Cambia el transporte de correo
+     */
+    setTransport(transport) {
+        this.transport = transport;
+    }
+
+    /**
+     * Indica si el transporte actual es la bandeja local
+     */
+    usesLocalOutbox() {
+        return this.transport instanceof LocalOutboxTransport;
+    }
+
+    /**
+     * Envía un correo
+     */
+    async send(to, subject, body) {
+        try {
+            return await this.transport.send({ to, subject, body });
+        } catch (error) {
+            console.error('Error al enviar correo:', error);
+            return { success: false, error: error.message };
+        }
+    }
+}
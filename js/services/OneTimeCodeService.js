@@ -0,0 +1,104 @@
+/**
+ * Clase OneTimeCodeService
+ * Emite y consume códigos de un solo uso con caducidad (recuperación de contraseña, etc.)
+ *
+ * Solo se guarda el SHA-256 de cada código, nunca el código en claro.
+ */
+class OneTimeCodeService {
+    constructor() {
+        this.STORAGE_KEY = 'printconnect_one_time_codes';
+        this.MAX_ATTEMPTS = 5;
+    }
+
+    /**
+     * Carga los códigos vigentes (descarta los caducados)
+     */
+    loadCodes() {
+        try {
+            const codes = JSON.parse(localStorage.getItem(this.STORAGE_KEY) || '[]');
+            const now = Date.now();
+            return codes.filter(entry => entry.expiresAt > now);
+        } catch (error) {
+            console.error('Error al cargar códigos de un solo uso:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Guarda los códigos
+     */
+    saveCodes(codes) {
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(codes));
+        } catch (error) {
+            console.error('Error al guardar códigos de un solo uso:', error);
+        }
+    }
+
+    /**
+     * Emite un código nuevo para un propósito y un sujeto (ej: 'password_reset' + email)
+     * Cualquier código anterior del mismo propósito y sujeto queda invalidado
+     */
+    async issue(purpose, subject, options = {}) {
+        const ttl = options.ttl || 15 * 60 * 1000;
+        const code = options.generate ? options.generate() : CryptoUtils.randomDigits(options.length || 6);
+
+        const codes = this.loadCodes().filter(entry =>
+            !(entry.purpose === purpose && entry.subject === subject)
+        );
+
+        codes.push({
+            purpose,
+            subject,
+            codeHash: await CryptoUtils.sha256(code),
+            expiresAt: Date.now() + ttl,
+            attempts: 0,
+            data: options.data || null
+        });
+
+        this.saveCodes(codes);
+        return code;
+    }
+
+    /**
+     * Consume un código: si es válido se elimina y ya no puede reutilizarse
+     * Retorna { success, reason: 'invalid' | 'expired' | 'too_many_attempts', data }
+     */
+    async consume(purpose, subject, code) {
+        const codes = this.loadCodes();
+        const index = codes.findIndex(entry => entry.purpose === purpose && entry.subject === subject);
+
+        if (index === -1) {
+            return { success: false, reason: 'expired' };
+        }
+
+        const entry = codes[index];
+        const codeHash = await CryptoUtils.sha256(String(code || '').trim());
+
+        if (!CryptoUtils.timingSafeEqual(codeHash, entry.codeHash)) {
+            entry.attempts++;
+            // Demasiados intentos: invalidamos el código para evitar fuerza bruta
+            if (entry.attempts >= this.MAX_ATTEMPTS) {
+                codes.splice(index, 1);
+                this.saveCodes(codes);
+                return { success: false, reason: 'too_many_attempts' };
+            }
+            this.saveCodes(codes);
+            return { success: false, reason: 'invalid' };
+        }
+
+        codes.splice(index, 1);
+        this.saveCodes(codes);
+        return { success: true, reason: null, data: entry.data };
+    }
+
+    /**
+     * Invalida los códigos de un sujeto (todos o de un propósito)
+     */
+    revoke(subject, purpose = null) {
+        const codes = this.loadCodes().filter(entry =>
+            !(entry.subject === subject && (!purpose || entry.purpose === purpose))
+        );
+        this.saveCodes(codes);
+    }
+}
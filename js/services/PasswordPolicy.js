@@ -0,0 +1,236 @@
+/**
+ * Clase PasswordPolicy
+ * Reglas que debe cumplir una contraseña nueva (registro, cambio y recuperación)
+ *
+ * Los valores se leen de SecuritySettings en cada comprobación, así los cambios
+ * del administrador se aplican sin recargar. Las contraseñas ya guardadas no se
+ * revalidan: solo se comprueba su antigüedad (passwordMaxAgeDays).
+ */
+class PasswordPolicy {
+    constructor(settings = new SecuritySettings()) {
+        this.settings = settings;
+    }
+
+    /**
+     * Contraseñas habituales que se rechazan (comparadas en minúsculas)
+     * Recopiladas de las listas públicas de contraseñas filtradas más usadas
+     */
+    static get COMMON_PASSWORDS() {
+        if (!PasswordPolicy.commonPasswords) {
+            PasswordPolicy.commonPasswords = new Set([
+                '123456', '1234567', '12345678', '123456789', '1234567890', '12345', '1234', '123123',
+                '111111', '000000', '222222', '555555', '666666', '777777', '888888', '999999',
+                '121212', '123321', '654321', '987654321', '112233', '159753', '147258369', '123654',
+                'password', 'password1', 'passw0rd', 'p@ssw0rd', 'p@ssword', 'pass1234', 'password123',
+                'qwerty', 'qwerty123', 'qwertyuiop', 'asdfgh', 'asdfghjkl', 'zxcvbnm', 'azerty',
+                'qazwsx', '1q2w3e4r', '1q2w3e', '1qaz2wsx', 'q1w2e3r4', 'qwe123', 'asd123', 'zaq12wsx',
+                'abc123', 'abcdef', 'abcd1234', 'a1b2c3', 'aaaaaa', 'abcabc', '123abc', 'abc12345',
+                'iloveyou', 'letmein', 'welcome', 'welcome1', 'admin', 'admin123', 'administrator',
+                'root', 'toor', 'login', 'master', 'secret', 'changeme', 'default', 'guest', 'test',
+                'test123', 'monkey', 'dragon', 'shadow', 'sunshine', 'princess', 'football', 'baseball',
+                'soccer', 'hockey', 'batman', 'superman', 'starwars', 'pokemon', 'michael', 'jordan',
+                'jennifer', 'charlie', 'daniel', 'thomas', 'hunter', 'ranger', 'buster', 'tigger',
+                'cookie', 'cheese', 'chocolate', 'pepper', 'ginger', 'summer', 'winter', 'flower',
+                'freedom', 'whatever', 'trustno1', 'access', 'killer', 'lovely', 'loveme', 'computer',
+                'internet', 'samsung', 'google', 'facebook', 'mustang', 'ferrari', 'harley', 'matrix',
+                'hello', 'hello123', 'qwerty1', 'zxcvbn', 'password12', 'passpass', 'nopassword',
+                // Habituales en español
+                'contraseña', 'contrasena', 'contrasenia', 'clave', 'clave123', 'micontraseña',
+                'hola', 'hola123', 'holahola', 'teamo', 'tequiero', 'amor', 'amorcito', 'corazon',
+                'mariposa', 'princesa', 'futbol', 'barcelona', 'realmadrid', 'madrid', 'españa',
+                'mexico', 'argentina', 'colombia', 'chile', 'peru', 'america', 'estrella', 'familia',
+                'usuario', 'usuario123', 'bienvenido', 'secreto', 'jesus', 'dios', 'maria', 'jose',
+                'carlos', 'alejandro', 'daniela', 'sebastian', 'naranja', 'perro', 'gatito',
+                // Relacionadas con la propia aplicación
+                'printconnect', 'printer', 'impresora', 'imprimir'
+            ]);
+        }
+        return PasswordPolicy.commonPasswords;
+    }
+
+    /**
+     * Etiquetas de los niveles de fortaleza (0 a 4)
+     */
+    static get STRENGTH_LABELS() {
+        return ['Muy débil', 'Débil', 'Aceptable', 'Fuerte', 'Muy fuerte'];
+    }
+
+    /**
+     * Pasa a minúsculas y quita tildes para comparar texto
+     */
+    static simplify(text) {
+        return String(text || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    }
+
+    /**
+     * Indica si la contraseña es (o es casi) una contraseña habitual
+     * También detecta las variantes con números o símbolos al final (ej: "qwerty2024!")
+     * y las que repiten un único carácter
+     */
+    isCommon(password) {
+        const common = PasswordPolicy.COMMON_PASSWORDS;
+        const lower = String(password || '').toLowerCase();
+        const base = lower.replace(/[0-9\W_]+$/, '');
+
+        return /^(.)\1*$/.test(lower) || common.has(lower) || common.has(PasswordPolicy.simplify(lower)) ||
+            (base.length >= 4 && common.has(base));
+    }
+
+    /**
+     * Indica si la contraseña contiene el nombre o el correo del usuario
+     * Solo se tienen en cuenta las partes de al menos 3 caracteres
+     */
+    containsPersonalInfo(password, context = {}) {
+        const simplified = PasswordPolicy.simplify(password);
+        const localPart = String(context.email || '').split('@')[0];
+        const parts = [
+            ...PasswordPolicy.simplify(context.name).split(/[^a-z0-9]+/),
+            ...PasswordPolicy.simplify(localPart).split(/[^a-z0-9]+/),
+            PasswordPolicy.simplify(localPart)
+        ];
+
+        return parts.some(part => part.length >= 3 && simplified.includes(part));
+    }
+
+    /**
+     * Reglas activas según la configuración
+     * Cada regla: { id, label, test(password, context) }
+     */
+    getRules() {
+        const settings = this.settings;
+        const minLength = settings.get('passwordMinLength');
+        const rules = [
+            {
+                id: 'minLength',
+                label: `Al menos ${minLength} caracteres`,
+                test: password => password.length >= minLength
+            }
+        ];
+
+        if (settings.get('passwordRequireUppercase')) {
+            rules.push({ id: 'uppercase', label: 'Una letra mayúscula', test: password => /\p{Lu}/u.test(password) });
+        }
+        if (settings.get('passwordRequireLowercase')) {
+            rules.push({ id: 'lowercase', label: 'Una letra minúscula', test: password => /\p{Ll}/u.test(password) });
+        }
+        if (settings.get('passwordRequireNumber')) {
+            rules.push({ id: 'number', label: 'Un número', test: password => /[0-9]/.test(password) });
+        }
+        if (settings.get('passwordRequireSymbol')) {
+            rules.push({ id: 'symbol', label: 'Un símbolo (ej: ! ? # @)', test: password => /[^\p{L}\p{N}\s]/u.test(password) });
+        }
+        if (settings.get('passwordRejectPersonalInfo')) {
+            rules.push({
+                id: 'personalInfo',
+                label: 'Sin tu nombre ni tu correo',
+                test: (password, context) => !this.containsPersonalInfo(password, context)
+            });
+        }
+        if (settings.get('passwordRejectCommon')) {
+            rules.push({ id: 'common', label: 'Que no sea una contraseña habitual', test: password => !this.isCommon(password) });
+        }
+
+        return rules;
+    }
+
+    /**
+     * Comprueba una contraseña contra la política
+     * context: { name, email } del usuario, para la regla de datos personales
+     * Retorna { valid, rules: [{ id, label, met }], unmet: [etiquetas], message }
+     */
+    check(password, context = {}) {
+        const value = typeof password === 'string' ? password : '';
+        const rules = this.getRules().map(rule => ({
+            id: rule.id,
+            label: rule.label,
+            met: rule.test(value, context)
+        }));
+        const unmet = rules.filter(rule => !rule.met).map(rule => rule.label);
+
+        return {
+            valid: unmet.length === 0,
+            rules,
+            unmet,
+            message: unmet.length === 0
+                ? ''
+                : `La contraseña no cumple la política: ${unmet.join(', ').toLowerCase()}`
+        };
+    }
+
+    /**
+     * Estima la fortaleza de una contraseña (0 a 4) para el medidor de los formularios
+     * Se basa en la longitud y la variedad de caracteres; las contraseñas habituales
+     * y las que contienen datos personales puntúan 0
+     */
+    strength(password, context = {}) {
+        const value = typeof password === 'string' ? password : '';
+        const labels = PasswordPolicy.STRENGTH_LABELS;
+
+        if (!value || this.isCommon(value) || this.containsPersonalInfo(value, context)) {
+            return { score: 0, label: labels[0] };
+        }
+
+        let pool = 0;
+        if (/[a-z]/.test(value)) pool += 26;
+        if (/[A-Z]/.test(value)) pool += 26;
+        if (/[0-9]/.test(value)) pool += 10;
+        if (/[^a-zA-Z0-9]/.test(value)) pool += 33;
+
+        // Bits de entropía aproximados, sin contar los caracteres repetidos seguidos
+        const effectiveLength = value.replace(/(.)\1+/g, '$1$1').length;
+        const bits = effectiveLength * Math.log2(pool);
+        const score = bits < 28 ? 0 : bits < 40 ? 1 : bits < 60 ? 2 : bits < 80 ? 3 : 4;
+
+        return { score, label: labels[score] };
+    }
+
+    /**
+     * Genera una contraseña aleatoria que cumple la política (contraseñas temporales)
+     * Lleva siempre mayúsculas, minúsculas, números y símbolos, sin caracteres
+     * que se confundan al copiarla a mano (0/O, 1/l/I)
+     */
+    generate(context = {}) {
+        const sets = ['ABCDEFGHJKLMNPQRSTUVWXYZ', 'abcdefghijkmnopqrstuvwxyz', '23456789', '!#$%*?@-'];
+        const all = sets.join('');
+        const length = Math.max(16, this.settings.get('passwordMinLength'));
+        let password;
+
+        do {
+            const random = new Uint32Array(length * 2);
+            crypto.getRandomValues(random);
+
+            // Un carácter de cada grupo y el resto de cualquiera, después barajados
+            const chars = Array.from({ length }, (_, i) => {
+                const set = sets[i] || all;
+                return set[random[i] % set.length];
+            });
+            for (let i = chars.length - 1; i > 0; i--) {
+                const j = random[length + i] % (i + 1);
+                [chars[i], chars[j]] = [chars[j], chars[i]];
+            }
+            password = chars.join('');
+        } while (!this.check(password, context).valid);
+
+        return password;
+    }
+
+    /**
+     * Antigüedad máxima de la contraseña en milisegundos (0 = no caduca)
+     */
+    getMaxAge() {
+        return this.settings.get('passwordMaxAgeDays') * 24 * 60 * 60 * 1000;
+    }
+
+    /**
+     * Indica si la contraseña del usuario superó la antigüedad máxima
+     */
+    isExpired(user) {
+        const maxAge = this.getMaxAge();
+        if (!maxAge) {
+            return false;
+        }
+
+        const changedAt = new Date(user.passwordChangedAt || user.createdAt).getTime();
+        return Date.now() - changedAt >= maxAge;
+    }
+}
@@ -0,0 +1,588 @@
+/**
+ * Clase RemoteSyncAdapter
+ * Adaptador que sincroniza los datos locales con un servidor REST
+ *
+ * Lee y escribe siempre en un adaptador local (IndexedDB, localStorage...), así
+ * la aplicación funciona igual sin conexión. Para las colecciones sincronizadas:
+ * - Cada escritura se compara con la versión guardada y los registros nuevos,
+ *   modificados o eliminados se encolan en una bandeja de salida persistente
+ * - La bandeja se envía en orden cuando hay conexión y se reintenta al volver
+ * - Los conflictos se resuelven por registro: gana el updatedAt más reciente
+ *
+ * API que espera del servidor (ver tools/mock-sync-server.js):
+ *   GET    {endpoint}/{recurso}?since={cursor}  → { items: [{ id, updatedAt, deleted, data }], cursor }
+ *   PUT    {endpoint}/{recurso}/{id}            { updatedAt, data } → 200 | 409 (hay una versión más reciente)
+ *   DELETE {endpoint}/{recurso}/{id}            { updatedAt }       → 200 | 409
+ */
+class RemoteSyncAdapter extends StorageAdapter {
+    constructor(local, options = {}) {
+        super();
+        this.local = local;
+        this.endpoint = String(options.endpoint || '').replace(/\/+$/, '');
+        this.token = options.token || null;
+        this.fetch = options.fetch || ((url, init) => fetch(url, init));
+        this.collections = options.collections || RemoteSyncAdapter.COLLECTIONS;
+        this.SYNC_INTERVAL = options.syncInterval || 30 * 1000;
+        this.PUSH_DELAY = 500;
+        this.TOMBSTONE_DAYS = 30;
+
+        // Ids de cada colección que la aplicación ya conoce (leídos o escritos por ella)
+        // Un registro que falta en una escritura solo cuenta como borrado si la app lo conocía;
+        // si no, llegó de otra pestaña o del servidor después de que la app leyera
+        this.known = {};
+        this.listeners = [];
+        this.writeQueue = Promise.resolve();
+        this.syncPromise = null;
+        this.syncAgain = false;
+        this.timer = null;
+        this.pushTimer = null;
+        this.status = { lastSync: null, lastError: null };
+    }
+
+    /**
+     * Claves de almacenamiento propias de la sincronización
+     * La configuración va en localStorage porque se lee antes de crear el adaptador
+     */
+    static get CONFIG_KEY() {
+        return 'printconnect_sync_config';
+    }
+
+    static get OUTBOX_KEY() {
+        return 'printconnect_sync_outbox';
+    }
+
+    static get STATE_KEY() {
+        return 'printconnect_sync_state';
+    }
+
+    /**
+     * Colecciones sincronizadas: clave local → recurso REST
+     * single: la clave guarda un único registro con ese id (no un array)
+     */
+    static get COLLECTIONS() {
+        return {
+            printconnect_users: { resource: 'users', timestampField: 'updatedAt' },
+            // El historial se recorta localmente: ese recorte no borra nada en el servidor
+            printconnect_contact_history: { resource: 'contact', timestampField: 'timestamp', syncDeletes: false },
+            printconnect_security_settings: { resource: 'settings', timestampField: 'updatedAt', single: 'security' }
+        };
+    }
+
+    /**
+     * Lee la configuración de sincronización ({ endpoint, token })
+     */
+    static loadConfig() {
+        try {
+            return JSON.parse(localStorage.getItem(this.CONFIG_KEY) || '{}');
+        } catch (error) {
+            console.error('Error al leer configuración de sincronización:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Guarda la configuración (sin endpoint se desactiva la sincronización)
+     * Se aplica al recargar la página
+     */
+    static saveConfig(config) {
+        const endpoint = String(config.endpoint || '').trim();
+
+        if (!endpoint) {
+            localStorage.removeItem(this.CONFIG_KEY);
+            return { success: true, message: 'Sincronización desactivada' };
+        }
+
+        try {
+            const url = new URL(endpoint);
+            if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+                return { success: false, message: 'El endpoint debe ser una URL http(s)' };
+            }
+        } catch (error) {
+            return { success: false, message: 'El endpoint no es una URL válida' };
+        }
+
+        localStorage.setItem(this.CONFIG_KEY, JSON.stringify({
+            endpoint: endpoint,
+            token: String(config.token || '').trim() || null
+        }));
+        return { success: true, message: 'Sincronización configurada' };
+    }
+
+    /**
+     * Marca de tiempo (ms) de un registro según su colección
+     */
+    static timestamp(record, collection) {
+        const time = record ? new Date(record[collection.timestampField]).getTime() : NaN;
+        return Number.isFinite(time) ? time : 0;
+    }
+
+    async get(key) {
+        const value = await this.local.get(key);
+        this.remember(key, value);
+        return value;
+    }
+
+    async set(key, value) {
+        const collection = this.collections[key];
+        if (!collection) {
+            return this.local.set(key, value);
+        }
+
+        await this.serialize(() => this.writeCollection(key, collection, value));
+        this.scheduleSync();
+    }
+
+    /**
+     * Borrar datos locales no los borra del servidor: volverán en la próxima sincronización
+     */
+    async remove(key) {
+        delete this.known[key];
+        return this.local.remove(key);
+    }
+
+    async keys(prefix = '') {
+        return this.local.keys(prefix);
+    }
+
+    /**
+     * Registra una función a la que avisar cuando el servidor trae cambios
+     * Recibe la lista de claves locales modificadas
+     */
+    onRemoteChange(callback) {
+        this.listeners.push(callback);
+    }
+
+    /**
+     * Empieza a sincronizar: ahora, periódicamente y al recuperar la conexión
+     */
+    start() {
+        if (this.timer) {
+            return;
+        }
+
+        this.timer = setInterval(() => this.sync(), this.SYNC_INTERVAL);
+        window.addEventListener('online', () => this.sync());
+        this.sync();
+    }
+
+    /**
+     * Estado para mostrar en el panel de administración
+     */
+    async getStatus() {
+        const outbox = (await this.local.get(RemoteSyncAdapter.OUTBOX_KEY)) || [];
+        return {
+            endpoint: this.endpoint,
+            online: typeof navigator === 'undefined' || navigator.onLine !== false,
+            syncing: this.syncPromise !== null,
+            pending: outbox.length,
+            lastSync: this.status.lastSync,
+            lastError: this.status.lastError
+        };
+    }
+
+    /**
+     * Sincroniza: envía la bandeja de salida y trae los cambios del servidor
+     * Si ya hay una sincronización en curso, se repite al terminar
+     */
+    sync() {
+        if (this.syncPromise) {
+            this.syncAgain = true;
+            return this.syncPromise;
+        }
+
+        this.syncPromise = this.runSync().finally(() => {
+            this.syncPromise = null;
+            if (this.syncAgain) {
+                this.syncAgain = false;
+                this.sync();
+            }
+        });
+        return this.syncPromise;
+    }
+
+    async runSync() {
+        if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+            this.status.lastError = 'Sin conexión';
+            return { success: false, message: 'Sin conexión: los cambios quedan en cola' };
+        }
+
+        try {
+            const state = await this.loadState();
+
+            // La primera vez se suben todos los datos locales (el servidor decide por fecha)
+            if (!state.initialized) {
+                await this.enqueueAll();
+            }
+
+            const pushed = await this.push();
+            const changedKeys = await this.pull(state);
+
+            state.initialized = true;
+            await this.saveState(state);
+
+            this.status.lastSync = Date.now();
+            this.status.lastError = null;
+
+            if (changedKeys.length > 0) {
+                this.listeners.forEach(callback => callback(changedKeys));
+            }
+
+            return {
+                success: true,
+                pushed,
+                changedKeys,
+                message: `Sincronizado: ${pushed} cambio(s) enviados, ${changedKeys.length} colección(es) actualizadas`
+            };
+        } catch (error) {
+            console.error('Error al sincronizar:', error);
+            this.status.lastError = error.message;
+            return { success: false, message: `No se pudo sincronizar: ${error.message}` };
+        }
+    }
+
+    /**
+     * Programa una sincronización poco después de una escritura (agrupa ráfagas)
+     */
+    scheduleSync() {
+        if (!this.timer) {
+            return;
+        }
+
+        clearTimeout(this.pushTimer);
+        this.pushTimer = setTimeout(() => this.sync(), this.PUSH_DELAY);
+    }
+
+    /**
+     * Ejecuta las escrituras de colecciones de una en una, para comparar siempre
+     * con la última versión guardada
+     */
+    serialize(operation) {
+        const run = this.writeQueue.then(operation);
+        this.writeQueue = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Exclusión entre pestañas para modificar la bandeja de salida (si el navegador lo permite)
+     */
+    withLock(operation) {
+        if (typeof navigator !== 'undefined' && navigator.locks) {
+            return navigator.locks.request('printconnect_sync_outbox', operation);
+        }
+        return operation();
+    }
+
+    /**
+     * Recuerda qué registros de una colección conoce la aplicación
+     */
+    remember(key, value) {
+        const collection = this.collections[key];
+        if (collection && !collection.single && Array.isArray(value)) {
+            this.known[key] = new Set(value.map(record => String(record.id)));
+        }
+    }
+
+    /**
+     * Guarda una escritura de la aplicación combinándola con la versión local
+     * y encola los cambios para el servidor
+     */
+    async writeCollection(key, collection, value) {
+        const stored = await this.local.get(key);
+        const state = await this.loadState();
+        const now = Date.now();
+        let merged;
+        const changes = [];
+
+        if (collection.single) {
+            const time = RemoteSyncAdapter.timestamp(value, collection);
+            const storedTime = RemoteSyncAdapter.timestamp(stored, collection);
+
+            // Una versión más antigua que la guardada (ej: llegó del servidor) no la pisa
+            merged = stored && time < storedTime ? stored : value;
+            if (!stored || time > storedTime) {
+                changes.push({ resource: collection.resource, id: collection.single, method: 'PUT', updatedAt: time, data: value });
+            }
+        } else {
+            const records = Array.isArray(value) ? value : [];
+            const previousById = new Map((Array.isArray(stored) ? stored : []).map(record => [String(record.id), record]));
+            const known = this.known[key] || new Set();
+            const tombstones = state.tombstones[collection.resource] || {};
+            const written = new Set();
+            merged = [];
+
+            records.forEach(record => {
+                const id = String(record.id);
+                const time = RemoteSyncAdapter.timestamp(record, collection);
+                const previous = previousById.get(id);
+                written.add(id);
+
+                if (!previous) {
+                    // Borrado en el servidor después de que la app lo leyera: no lo resucitamos
+                    if (tombstones[id] >= time) {
+                        return;
+                    }
+                    merged.push(record);
+                    changes.push({ resource: collection.resource, id, method: 'PUT', updatedAt: time, data: record });
+                    return;
+                }
+
+                const previousTime = RemoteSyncAdapter.timestamp(previous, collection);
+                if (time < previousTime) {
+                    merged.push(previous);
+                    return;
+                }
+
+                merged.push(record);
+                if (time > previousTime) {
+                    changes.push({ resource: collection.resource, id, method: 'PUT', updatedAt: time, data: record });
+                }
+            });
+
+            previousById.forEach((previous, id) => {
+                if (written.has(id)) {
+                    return;
+                }
+                if (!known.has(id)) {
+                    merged.push(previous);
+                } else if (collection.syncDeletes !== false) {
+                    changes.push({ resource: collection.resource, id, method: 'DELETE', updatedAt: now, data: null });
+                }
+            });
+
+            this.known[key] = written;
+        }
+
+        await this.local.set(key, merged);
+        await this.enqueue(changes);
+    }
+
+    /**
+     * Añade cambios a la bandeja de salida
+     * Solo importa la última versión de cada registro: la anterior se descarta
+     */
+    async enqueue(changes) {
+        if (changes.length === 0) {
+            return;
+        }
+
+        await this.withLock(async () => {
+            const outbox = (await this.local.get(RemoteSyncAdapter.OUTBOX_KEY)) || [];
+
+            changes.forEach(change => {
+                const index = outbox.findIndex(op => op.resource === change.resource && op.id === change.id);
+                if (index !== -1) {
+                    outbox.splice(index, 1);
+                }
+                outbox.push({ ...change, queuedAt: Date.now() });
+            });
+
+            await this.local.set(RemoteSyncAdapter.OUTBOX_KEY, outbox);
+        });
+    }
+
+    /**
+     * Encola todos los registros locales (primera sincronización de este navegador)
+     */
+    async enqueueAll() {
+        const changes = [];
+
+        for (const [key, collection] of Object.entries(this.collections)) {
+            const value = await this.local.get(key);
+            if (!value) {
+                continue;
+            }
+
+            const records = collection.single ? [value] : value;
+            records.forEach(record => {
+                changes.push({
+                    resource: collection.resource,
+                    id: collection.single || String(record.id),
+                    method: 'PUT',
+                    updatedAt: RemoteSyncAdapter.timestamp(record, collection),
+                    data: record
+                });
+            });
+        }
+
+        await this.enqueue(changes);
+    }
+
+    /**
+     * Envía la bandeja de salida en orden
+     * Se detiene en el primer fallo: lo pendiente se reintenta en la próxima sincronización
+     * Retorna cuántos cambios se enviaron
+     */
+    async push() {
+        const outbox = (await this.local.get(RemoteSyncAdapter.OUTBOX_KEY)) || [];
+        const sent = [];
+
+        try {
+            for (const op of outbox) {
+                const body = op.method === 'PUT'
+                    ? { updatedAt: op.updatedAt, data: op.data }
+                    : { updatedAt: op.updatedAt };
+                const response = await this.request(op.method, `${op.resource}/${encodeURIComponent(op.id)}`, body);
+
+                // 409: el servidor tiene una versión más reciente, llegará con el pull
+                if (!response.ok && response.status !== 409) {
+                    throw new Error(`el servidor respondió ${response.status} a ${op.method} ${op.resource}/${op.id}`);
+                }
+                sent.push(op);
+            }
+        } finally {
+            if (sent.length > 0) {
+                await this.removeFromOutbox(sent);
+            }
+        }
+
+        return sent.length;
+    }
+
+    /**
+     * Quita de la bandeja los cambios ya enviados
+     * Si mientras tanto se encoló una versión más nueva del mismo registro, esa se conserva
+     */
+    async removeFromOutbox(sent) {
+        await this.withLock(async () => {
+            const outbox = (await this.local.get(RemoteSyncAdapter.OUTBOX_KEY)) || [];
+            const remaining = outbox.filter(op => !sent.some(done =>
+                done.resource === op.resource && done.id === op.id && done.queuedAt === op.queuedAt
+            ));
+            await this.local.set(RemoteSyncAdapter.OUTBOX_KEY, remaining);
+        });
+    }
+
+    /**
+     * Trae los cambios del servidor desde el último cursor de cada recurso
+     * Retorna las claves locales que cambiaron
+     */
+    async pull(state) {
+        const changedKeys = [];
+
+        for (const [key, collection] of Object.entries(this.collections)) {
+            const cursor = state.cursors[collection.resource] || 0;
+            const response = await this.request('GET', `${collection.resource}?since=${encodeURIComponent(cursor)}`);
+            if (!response.ok) {
+                throw new Error(`el servidor respondió ${response.status} a GET ${collection.resource}`);
+            }
+
+            const result = await response.json();
+            const items = Array.isArray(result.items) ? result.items : [];
+
+            if (items.length > 0 && await this.serialize(() => this.applyRemote(key, collection, items, state))) {
+                changedKeys.push(key);
+            }
+            state.cursors[collection.resource] = result.cursor !== undefined ? result.cursor : cursor;
+        }
+
+        return changedKeys;
+    }
+
+    /**
+     * Aplica los registros del servidor sobre la copia local
+     * Solo se aceptan los más recientes que la versión local
+     */
+    async applyRemote(key, collection, items, state) {
+        const stored = await this.local.get(key);
+
+        if (collection.single) {
+            const item = items.filter(entry => entry.id === collection.single && !entry.deleted).pop();
+            if (!item || item.updatedAt <= RemoteSyncAdapter.timestamp(stored, collection)) {
+                return false;
+            }
+            await this.local.set(key, item.data);
+            return true;
+        }
+
+        // Borrados locales aún sin enviar: el servidor no los conoce todavía
+        const outbox = (await this.local.get(RemoteSyncAdapter.OUTBOX_KEY)) || [];
+        const pendingDeletes = new Map(outbox
+            .filter(op => op.resource === collection.resource && op.method === 'DELETE')
+            .map(op => [op.id, op.updatedAt]));
+        const tombstones = state.tombstones[collection.resource] = state.tombstones[collection.resource] || {};
+
+        const records = Array.isArray(stored) ? [...stored] : [];
+        let changed = false;
+
+        items.forEach(item => {
+            const id = String(item.id);
+            const index = records.findIndex(record => String(record.id) === id);
+
+            if (index !== -1 && RemoteSyncAdapter.timestamp(records[index], collection) >= item.updatedAt) {
+                return;
+            }
+
+            if (item.deleted) {
+                tombstones[id] = item.updatedAt;
+                if (index !== -1) {
+                    records.splice(index, 1);
+                    changed = true;
+                }
+                return;
+            }
+
+            if (index === -1) {
+                if (pendingDeletes.get(id) >= item.updatedAt) {
+                    return;
+                }
+                records.push(item.data);
+            } else {
+                records[index] = item.data;
+            }
+            changed = true;
+        });
+
+        if (changed) {
+            await this.local.set(key, records);
+        }
+        return changed;
+    }
+
+    /**
+     * Petición al servidor (JSON, con token si está configurado)
+     */
+    request(method, path, body = null) {
+        const headers = { 'Accept': 'application/json' };
+        if (body) {
+            headers['Content-Type'] = 'application/json';
+        }
+        if (this.token) {
+            headers['Authorization'] = `Bearer ${this.token}`;
+        }
+
+        return this.fetch(`${this.endpoint}/${path}`, {
+            method,
+            headers,
+            body: body ? JSON.stringify(body) : undefined
+        });
+    }
+
+    /**
+     * Estado de la sincronización: cursores por recurso y borrados recibidos
+     */
+    async loadState() {
+        const state = (await this.local.get(RemoteSyncAdapter.STATE_KEY)) || {};
+        return {
+            initialized: !!state.initialized,
+            cursors: state.cursors || {},
+            tombstones: state.tombstones || {}
+        };
+    }
+
+    /**
+     * Guarda el estado, olvidando los borrados antiguos
+     */
+    async saveState(state) {
+        const limit = Date.now() - this.TOMBSTONE_DAYS * 24 * 60 * 60 * 1000;
+
+        Object.values(state.tombstones).forEach(tombstones => {
+            Object.keys(tombstones).forEach(id => {
+                if (tombstones[id] < limit) {
+                    delete tombstones[id];
+                }
+            });
+        });
+
+        await this.local.set(RemoteSyncAdapter.STATE_KEY, state);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,181 @@
+/**
+ * Clase SchemaMigrations
+ * Versión del formato de los datos guardados y migraciones para actualizarlos
+ *
+ * La versión se guarda en printconnect_schema_version. Al iniciar la aplicación y
+ * al restaurar un backup se ejecutan en orden las migraciones pendientes. Cada una
+ * debe poder repetirse sin efecto (idempotente) y, si falla, los datos vuelven al
+ * estado anterior a esa migración.
+ */
+class SchemaMigrations {
+    constructor(storage = StorageAdapter.getDefault(), settings = new SecuritySettings(storage)) {
+        this.storage = storage;
+        this.settings = settings;
+    }
+
+    static get VERSION_KEY() {
+        return 'printconnect_schema_version';
+    }
+
+    /**
+     * Migraciones registradas, en orden de versión
+     * up(storage, migrations) recibe el StorageAdapter y retorna cuántos registros cambió
+     * Para cambiar el formato de los datos se añade una nueva al final, nunca se edita una existente
+     */
+    static get MIGRATIONS() {
+        return [
+            {
+                version: 1,
+                description: 'Usuarios: id, rol, estado y fechas en todos los registros',
+                async up(storage) {
+                    const users = await storage.get('printconnect_users');
+                    if (!Array.isArray(users)) {
+                        return 0;
+                    }
+
+                    let changed = 0;
+                    const migrated = users.map(user => {
+                        const next = { ...user };
+                        if (!next.id) next.id = CryptoUtils.randomId();
+                        if (!Role.isValid(next.role)) next.role = Role.DEFAULT;
+                        // Las cuentas anteriores a la verificación de correo ya estaban activas
+                        if (!Object.values(User.STATUS).includes(next.status)) next.status = User.STATUS.ACTIVE;
+                        if (!next.createdAt) next.createdAt = new Date().toISOString();
+                        if (!next.updatedAt) next.updatedAt = next.createdAt;
+                        if (!next.passwordChangedAt) next.passwordChangedAt = next.createdAt;
+
+                        if (JSON.stringify(next) !== JSON.stringify(user)) changed++;
+                        return next;
+                    });
+
+                    if (changed > 0) {
+                        await storage.set('printconnect_users', migrated);
+                    }
+                    return changed;
+                }
+            },
+            {
+                version: 2,
+                description: 'Accesos a páginas: printconnect_page_logs pasa al registro de auditoría',
+                async up(storage, migrations) {
+                    return new AuditLog(storage, migrations.settings).migrateLegacyPageLogs();
+                }
+            },
+            {
+                version: 3,
+                description: 'Historial de contacto: id en todos los mensajes',
+                async up(storage) {
+                    const messages = await storage.get('printconnect_contact_history');
+                    if (!Array.isArray(messages)) {
+                        return 0;
+                    }
+
+                    const missing = messages.filter(message => message.id === undefined || message.id === null).length;
+                    if (missing > 0) {
+                        await storage.set('printconnect_contact_history', messages.map(message =>
+                            message.id === undefined || message.id === null ? { ...message, id: CryptoUtils.randomId() } : message
+                        ));
+                    }
+                    return missing;
+                }
+            }
+        ];
+    }
+
+    /**
+     * Versión que dejan los datos todas las migraciones
+     */
+    static get LATEST_VERSION() {
+        const migrations = SchemaMigrations.MIGRATIONS;
+        return migrations[migrations.length - 1].version;
+    }
+
+    /**
+     * Versión de los datos guardados (0 si nunca se migraron)
+     */
+    async getVersion() {
+        const version = await this.storage.get(SchemaMigrations.VERSION_KEY);
+        return Number.isInteger(version) ? version : 0;
+    }
+
+    /**
+     * Ejecuta las migraciones pendientes
+     * from: versión de la que partir aunque la guardada sea mayor (ej: datos
+     * recién restaurados de un backup antiguo); las migraciones ya aplicadas se repiten sin efecto
+     * Retorna { success, message, version, applied: [versiones], failed }
+     */
+    async migrate({ from = null } = {}) {
+        const stored = await this.getVersion();
+        const start = from === null ? stored : Math.min(stored, from);
+        const pending = SchemaMigrations.MIGRATIONS.filter(migration => migration.version > start);
+        const applied = [];
+
+        for (const migration of pending) {
+            const snapshot = await this.snapshot();
+            try {
+                const changed = await migration.up(this.storage, this);
+                await this.storage.set(SchemaMigrations.VERSION_KEY, Math.max(migration.version, await this.getVersion()));
+                applied.push(migration.version);
+                console.log(`🗄️ Migración ${migration.version} (${migration.description}): ${changed || 0} cambio(s)`);
+            } catch (error) {
+                console.error(`Error en la migración ${migration.version}, se restauran los datos:`, error);
+                const restored = await this.rollback(snapshot);
+                // Solo se deshace la migración que falló: las anteriores de esta ejecución se conservan
+                const outcome = restored ? 'sus cambios se deshicieron' : 'no se pudieron deshacer sus cambios';
+                const kept = applied.length > 0
+                    ? `; se conservan las migraciones ya aplicadas (${applied.join(', ')})`
+                    : '';
+                return {
+                    success: false,
+                    message: `La migración ${migration.version} (${migration.description}) falló y ${outcome}${kept}`,
+                    version: await this.getVersion(),
+                    applied,
+                    failed: migration.version
+                };
+            }
+        }
+
+        return {
+            success: true,
+            message: applied.length > 0 ? `${applied.length} migración(es) aplicada(s)` : 'Los datos están al día',
+            version: await this.getVersion(),
+            applied,
+            failed: null
+        };
+    }
+
+    /**
+     * Copia de las claves gestionadas por el adaptador antes de una migración
+     * (las migraciones solo modifican esas claves)
+     */
+    async snapshot() {
+        const snapshot = new Map();
+        for (const key of StorageAdapter.MANAGED_KEYS) {
+            const value = await this.storage.get(key);
+            if (value !== null) {
+                snapshot.set(key, JSON.parse(JSON.stringify(value)));
+            }
+        }
+        return snapshot;
+    }
+
+    /**
+     * Deja las claves gestionadas exactamente como estaban en la copia
+     * Retorna true si se pudieron restaurar todas
+     */
+    async rollback(snapshot) {
+        try {
+            for (const key of StorageAdapter.MANAGED_KEYS) {
+                if (snapshot.has(key)) {
+                    await this.storage.set(key, snapshot.get(key));
+                } else {
+                    await this.storage.remove(key);
+                }
+            }
+            return true;
+        } catch (error) {
+            console.error('Error al restaurar los datos tras una migración fallida:', error);
+            return false;
+        }
+    }
+}
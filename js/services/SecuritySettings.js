@@ -0,0 +1,165 @@
+/**
+ * Clase SecuritySettings
+ * Configuración de seguridad editable por los administradores
+ *
+ * Se guarda a través de un StorageAdapter: hasta que termina load() rigen los
+ * valores por defecto. updatedAt permite resolver conflictos al sincronizar.
+ */
+class SecuritySettings {
+    constructor(storage = StorageAdapter.getDefault()) {
+        this.STORAGE_KEY = 'printconnect_security_settings';
+        this.storage = storage;
+        this.settings = { ...SecuritySettings.DEFAULTS };
+        this.updatedAt = 0;
+        this.pendingWrite = Promise.resolve(true);
+    }
+
+    /**
+     * Valores por defecto de cada ajuste
+     */
+    static get DEFAULTS() {
+        return {
+            // Bloqueo por intentos fallidos
+            maxFailedAttempts: 5,
+            browserMaxFailedAttempts: 20,
+            lockoutMinutes: 15,
+            backoffBaseSeconds: 1,
+            backoffMaxSeconds: 30,
+            // Duración de la sesión
+            idleTimeoutMinutes: 30,
+            maxSessionHours: 24,
+            sessionWarningMinutes: 2,
+            rememberMeDays: 30,
+            // Verificación en dos pasos
+            requireAdminTwoFactor: false,
+            // Política de contraseñas (ver PasswordPolicy); 0 días = no caducan
+            passwordMinLength: 8,
+            passwordRequireUppercase: false,
+            passwordRequireLowercase: false,
+            passwordRequireNumber: false,
+            passwordRequireSymbol: false,
+            passwordMaxAgeDays: 0,
+            passwordRejectPersonalInfo: true,
+            passwordRejectCommon: true,
+            // Tamaño máximo del registro de auditoría (se descartan los eventos más antiguos)
+            auditLogMaxKB: 256,
+            // Instantáneas (ver SnapshotStore): cuántas se conservan y cada cuántas horas
+            // se toma una automática (0 = solo antes de operaciones destructivas)
+            snapshotMaxCount: 5,
+            snapshotIntervalHours: 24
+        };
+    }
+
+    /**
+     * Valores mínimos de los ajustes numéricos que no admiten cero
+     */
+    static get MINIMUMS() {
+        return {
+            maxFailedAttempts: 1,
+            browserMaxFailedAttempts: 1,
+            idleTimeoutMinutes: 1,
+            maxSessionHours: 1,
+            rememberMeDays: 1,
+            passwordMinLength: 6,
+            auditLogMaxKB: 16,
+            snapshotMaxCount: 1
+        };
+    }
+
+    /**
+     * Carga la configuración guardada, completando con los valores por defecto
+     */
+    async load() {
+        try {
+            await this.pendingWrite;
+            const { updatedAt = 0, ...saved } = (await this.storage.get(this.STORAGE_KEY)) || {};
+            this.settings = { ...SecuritySettings.DEFAULTS, ...saved };
+            this.updatedAt = updatedAt;
+        } catch (error) {
+            console.error('Error al cargar configuración de seguridad:', error);
+            this.settings = { ...SecuritySettings.DEFAULTS };
+        }
+        return this.getAll();
+    }
+
+    /**
+     * Guarda la configuración (en segundo plano, en orden)
+     */
+    save() {
+        this.updatedAt = Date.now();
+        const data = { ...this.settings, updatedAt: this.updatedAt };
+
+        this.pendingWrite = this.pendingWrite
+            .then(() => this.storage.set(this.STORAGE_KEY, data))
+            .then(() => true)
+            .catch(error => {
+                console.error('Error al guardar configuración de seguridad:', error);
+                return false;
+            });
+        return this.pendingWrite;
+    }
+
+    /**
+     * Obtiene un ajuste concreto
+     */
+    get(key) {
+        return this.settings[key];
+    }
+
+    /**
+     * Retorna una copia de toda la configuración
+     */
+    getAll() {
+        return { ...this.settings };
+    }
+
+    /**
+     * Actualiza uno o varios ajustes
+     * Solo acepta claves conocidas y del mismo tipo que su valor por defecto
+     */
+    update(changes) {
+        const defaults = SecuritySettings.DEFAULTS;
+        const errors = [];
+        const next = { ...this.settings };
+
+        Object.keys(changes).forEach(key => {
+            if (!(key in defaults)) {
+                errors.push(`Ajuste desconocido: ${key}`);
+                return;
+            }
+
+            const value = changes[key];
+            if (typeof value !== typeof defaults[key]) {
+                errors.push(`Tipo inválido para ${key}`);
+                return;
+            }
+            if (typeof defaults[key] === 'number' && (!Number.isFinite(value) || value < 0)) {
+                errors.push(`Valor inválido para ${key}`);
+                return;
+            }
+            if (key in SecuritySettings.MINIMUMS && value < SecuritySettings.MINIMUMS[key]) {
+                errors.push(`${key} debe ser al menos ${SecuritySettings.MINIMUMS[key]}`);
+                return;
+            }
+
+            next[key] = value;
+        });
+
+        // Si algún ajuste es inválido no se aplica ninguno
+        if (errors.length > 0) {
+            return { success: false, errors };
+        }
+
+        this.settings = next;
+        this.save();
+        return { success: true, errors: [] };
+    }
+
+    /**
+     * Vuelve a los valores por defecto
+     */
+    reset() {
+        this.settings = { ...SecuritySettings.DEFAULTS };
+        this.save();
+    }
+}
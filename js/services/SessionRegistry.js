@@ -0,0 +1,89 @@
+/**
+ * Clase SessionRegistry
+ * Registro de las sesiones persistentes ("Recordarme")
+ *
+ * Un token persistente solo es válido mientras su identificador (jti) siga
+ * en el registro: borrarlo revoca la sesión aunque el token no haya caducado.
+ */
+class SessionRegistry {
+    constructor() {
+        this.STORAGE_KEY = 'printconnect_sessions';
+    }
+
+    /**
+     * Carga las sesiones registradas (descarta las caducadas)
+     */
+    loadSessions() {
+        try {
+            const sessions = JSON.parse(localStorage.getItem(this.STORAGE_KEY) || '[]');
+            const now = Date.now();
+            return sessions.filter(entry => entry.expiresAt > now);
+        } catch (error) {
+            console.error('Error al cargar sesiones registradas:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Guarda las sesiones
+     */
+    saveSessions(sessions) {
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(sessions));
+        } catch (error) {
+            console.error('Error al guardar sesiones registradas:', error);
+        }
+    }
+
+    /**
+     * Registra una sesión persistente a partir del payload de su token
+     */
+    add(payload) {
+        const sessions = this.loadSessions();
+        sessions.push({
+            id: payload.jti,
+            userId: payload.sub,
+            createdAt: payload.iat,
+            expiresAt: payload.exp,
+            userAgent: typeof navigator !== 'undefined' ? navigator.userAgent : ''
+        });
+        this.saveSessions(sessions);
+    }
+
+    /**
+     * Indica si una sesión sigue registrada (no revocada ni caducada)
+     */
+    has(sessionId) {
+        return this.loadSessions().some(entry => entry.id === sessionId);
+    }
+
+    /**
+     * Sesiones persistentes de un usuario (más recientes primero)
+     */
+    getForUser(userId) {
+        return this.loadSessions()
+            .filter(entry => entry.userId === userId)
+            .sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    /**
+     * Revoca una sesión
+     */
+    revoke(sessionId) {
+        const sessions = this.loadSessions();
+        const remaining = sessions.filter(entry => entry.id !== sessionId);
+        this.saveSessions(remaining);
+        return remaining.length !== sessions.length;
+    }
+
+    /**
+     * Revoca todas las sesiones de un usuario
+     * Retorna cuántas se revocaron
+     */
+    revokeAllForUser(userId) {
+        const sessions = this.loadSessions();
+        const remaining = sessions.filter(entry => entry.userId !== userId);
+        this.saveSessions(remaining);
+        return sessions.length - remaining.length;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,211 @@
+/**
+ * Clase SnapshotStore
+ * Instantáneas automáticas de los datos de PrintConnect para poder volver atrás
+ *
+ * Se toman periódicamente (snapshotIntervalHours) y antes de cada operación que
+ * modifica muchos datos (borrado, importación, limpieza, restauración). Se guardan
+ * en un almacén aparte (su propia base de datos IndexedDB), fuera de las claves
+ * printconnect_: así no entran en los backups ni las borra clearAllPrintConnectData.
+ * Solo se conservan las snapshotMaxCount más recientes.
+ */
+class SnapshotStore {
+    constructor(storage = SnapshotStore.createStorage(), settings = new SecuritySettings()) {
+        this.storage = storage;
+        this.settings = settings;
+        this.pendingWrite = Promise.resolve(true);
+    }
+
+    /**
+     * Almacén de instantáneas compartido por toda la página
+     */
+    static getDefault() {
+        if (!SnapshotStore.instance) {
+            SnapshotStore.instance = new SnapshotStore();
+        }
+        return SnapshotStore.instance;
+    }
+
+    /**
+     * Crea el almacén aparte: IndexedDB propia si existe; si no localStorage o memoria
+     */
+    static createStorage() {
+        if (typeof indexedDB !== 'undefined') {
+            return new IndexedDBAdapter({ dbName: 'printconnect_snapshots', migrateKeys: [] });
+        }
+        return LocalStorageAdapter.isAvailable() ? new LocalStorageAdapter() : new MemoryStorageAdapter();
+    }
+
+    /**
+     * Claves del almacén: el índice (metadatos) y una por instantánea
+     */
+    static get INDEX_KEY() {
+        return 'printconnect-snapshots:index';
+    }
+
+    static dataKey(id) {
+        return `printconnect-snapshots:${id}`;
+    }
+
+    /**
+     * Motivos de una instantánea
+     */
+    static get REASONS() {
+        return {
+            PERIODIC: 'periodic',
+            MANUAL: 'manual',
+            CLEAR: 'before_clear',
+            IMPORT: 'before_import',
+            CLEANUP: 'before_cleanup',
+            RESTORE: 'before_restore',
+            ROLLBACK: 'before_rollback'
+        };
+    }
+
+    /**
+     * Nombre legible de cada motivo para la interfaz
+     */
+    static getLabel(reason) {
+        const labels = {
+            periodic: 'Automática',
+            manual: 'Manual',
+            before_clear: 'Antes de borrar los datos',
+            before_import: 'Antes de importar',
+            before_cleanup: 'Antes de apartar datos corruptos',
+            before_restore: 'Antes de restaurar un backup',
+            before_rollback: 'Antes de volver a una instantánea'
+        };
+        return labels[reason] || reason;
+    }
+
+    /**
+     * Instantáneas guardadas, de la más reciente a la más antigua
+     * Retorna [{ id, reason, createdAt, bytes, keys }]
+     */
+    async list() {
+        await this.pendingWrite;
+        const index = await this.storage.get(SnapshotStore.INDEX_KEY);
+        return Array.isArray(index) ? index : [];
+    }
+
+    /**
+     * Toma una instantánea de todos los datos (formato de backup con checksum, ver StorageUtils.packBackup)
+     * Una vez guardada se descartan las más antiguas para no superar snapshotMaxCount
+     * Retorna { success, message, snapshot }
+     */
+    take(reason = SnapshotStore.REASONS.MANUAL) {
+        const run = async () => {
+            await this.settings.load();
+            const packed = await StorageUtils.packBackup(await StorageUtils.createBackup());
+            const snapshot = {
+                id: CryptoUtils.randomId(),
+                reason,
+                createdAt: packed.timestamp,
+                bytes: StorageQuota.byteLength(JSON.stringify(packed)),
+                keys: Object.keys(JSON.parse(packed.payload).data).length
+            };
+
+            const index = (await this.storage.get(SnapshotStore.INDEX_KEY)) || [];
+            const kept = index.slice(0, Math.max(0, this.settings.get('snapshotMaxCount') - 1));
+            await this.storage.set(SnapshotStore.dataKey(snapshot.id), packed);
+            await this.storage.set(SnapshotStore.INDEX_KEY, [snapshot, ...kept]);
+            // Solo ahora: si la nueva no se pudo guardar, las anteriores siguen ahí
+            await this.rotate(index.slice(kept.length));
+
+            console.log(`📸 Instantánea (${SnapshotStore.getLabel(reason)}): ${(snapshot.bytes / 1024).toFixed(1)} KB`);
+            return { success: true, message: 'Instantánea guardada', snapshot };
+        };
+
+        const result = this.pendingWrite.then(run).catch(error => {
+            console.error('Error al tomar instantánea:', error);
+            return { success: false, message: 'No se pudo guardar la instantánea: ' + error.message, snapshot: null };
+        });
+        this.pendingWrite = result.then(() => true);
+        return result;
+    }
+
+    /**
+     * Elimina los datos de las instantáneas que sobran (las más antiguas, ya fuera del índice)
+     */
+    async rotate(dropped) {
+        for (const snapshot of dropped) {
+            await this.storage.remove(SnapshotStore.dataKey(snapshot.id));
+        }
+    }
+
+    /**
+     * Toma la instantánea periódica si ya pasó el intervalo desde la anterior
+     * Retorna el resultado de take() o null si no tocaba
+     */
+    async takePeriodic() {
+        await this.settings.load();
+        const hours = this.settings.get('snapshotIntervalHours');
+        if (!hours) {
+            return null;
+        }
+
+        const last = (await this.list()).find(snapshot => snapshot.reason === SnapshotStore.REASONS.PERIODIC);
+        if (last && Date.now() - new Date(last.createdAt).getTime() < hours * 60 * 60 * 1000) {
+            return null;
+        }
+        return this.take(SnapshotStore.REASONS.PERIODIC);
+    }
+
+    /**
+     * Backup empaquetado de una instantánea (null si ya no existe)
+     */
+    async get(id) {
+        await this.pendingWrite;
+        return this.storage.get(SnapshotStore.dataKey(id));
+    }
+
+    /**
+     * Diferencias entre una instantánea y los datos actuales (ver StorageUtils.diffBackup)
+     */
+    async preview(id) {
+        const packed = await this.get(id);
+        if (!packed) {
+            return { success: false, message: 'La instantánea ya no existe' };
+        }
+        return StorageUtils.diffBackup(packed);
+    }
+
+    /**
+     * Deja los datos exactamente como estaban en una instantánea
+     * Antes se toma otra, así la vuelta atrás también se puede deshacer
+     */
+    async rollback(id) {
+        const packed = await this.get(id);
+        if (!packed) {
+            return { success: false, message: 'La instantánea ya no existe' };
+        }
+
+        await this.take(SnapshotStore.REASONS.ROLLBACK);
+        const result = await StorageUtils.mergeBackup(packed, {
+            strategy: StorageUtils.MERGE_RESOLUTIONS.TAKE_BACKUP,
+            snapshot: false
+        });
+        return {
+            ...result,
+            message: result.success
+                ? `Datos devueltos a la instantánea del ${new Date(packed.timestamp).toLocaleString('es-ES')} (${result.restored} cambio(s))`
+                : result.message
+        };
+    }
+
+    /**
+     * Elimina una instantánea
+     */
+    remove(id) {
+        const result = this.pendingWrite.then(async () => {
+            const index = (await this.storage.get(SnapshotStore.INDEX_KEY)) || [];
+            await this.storage.remove(SnapshotStore.dataKey(id));
+            await this.storage.set(SnapshotStore.INDEX_KEY, index.filter(snapshot => snapshot.id !== id));
+            return true;
+        }).catch(error => {
+            console.error('Error al eliminar instantánea:', error);
+            return false;
+        });
+        this.pendingWrite = result;
+        return result;
+    }
+}
@@ -0,0 +1,335 @@
+/**
+ * Clase StorageAdapter
+ * Interfaz común (asíncrona) para guardar datos de PrintConnect
+ *
+ * Cada implementación guarda valores serializables bajo una clave de texto y
+ * escribe a través de StorageQuota (retención y recuperación si se llena).
+ * Los repositorios reciben un adaptador en el constructor, así la misma lógica
+ * funciona con localStorage, IndexedDB o en memoria (ej: fuera del navegador).
+ */
+class StorageAdapter {
+    /**
+     * Claves que viven en el adaptador
+     * El resto de claves printconnect_* (sesión, contadores, códigos...) siguen en localStorage:
+     * son pequeñas y se consultan de forma síncrona en cada comprobación de sesión
+     */
+    static get MANAGED_KEYS() {
+        return [
+            'printconnect_users',
+            'printconnect_security_settings',
+            'printconnect_contact_history',
+            'printconnect_page_logs',
+            'printconnect_audit_log',
+            'printconnect_theme',
+            'printconnect_sync_outbox',
+            'printconnect_sync_state',
+            'printconnect_schema_version',
+            'printconnect_quarantine'
+        ];
+    }
+
+    /**
+     * Adaptador compartido por toda la página
+     * IndexedDB si existe; si no localStorage; y como último recurso memoria.
+     * Con un servidor de sincronización configurado, el adaptador local se envuelve
+     * en un RemoteSyncAdapter
+     */
+    static getDefault() {
+        if (!StorageAdapter.instance) {
+            StorageAdapter.instance = StorageAdapter.create();
+        }
+        return StorageAdapter.instance;
+    }
+
+    /**
+     * Crea el adaptador de la página según el entorno y la configuración
+     */
+    static create() {
+        const local = StorageAdapter.createLocal();
+
+        if (typeof RemoteSyncAdapter !== 'undefined') {
+            const config = RemoteSyncAdapter.loadConfig();
+            if (config.endpoint) {
+                return new RemoteSyncAdapter(local, config);
+            }
+        }
+
+        return local;
+    }
+
+    /**
+     * Crea el mejor adaptador local disponible en este entorno
+     */
+    static createLocal() {
+        if (typeof indexedDB !== 'undefined') {
+            return new IndexedDBAdapter();
+        }
+
+        if (LocalStorageAdapter.isAvailable()) {
+            return new LocalStorageAdapter();
+        }
+
+        console.warn('⚠️ Sin almacenamiento persistente: los datos se perderán al cerrar la página');
+        return new MemoryStorageAdapter();
+    }
+
+    /**
+     * Interpreta un valor guardado como texto (JSON o texto plano heredado)
+     */
+    static parse(text) {
+        if (text === null || text === undefined) {
+            return null;
+        }
+
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            // Valores antiguos guardados sin JSON (ej: el tema 'dark')
+            return text;
+        }
+    }
+
+    /**
+     * Avisa de que una clave cambió (EventBus.EVENTS.STORAGE_CHANGED)
+     * broadcast: también a las demás pestañas, para almacenes cuyos cambios el
+     * navegador no avisa (en localStorage ya lo hace el evento 'storage')
+     */
+    static notify(key, broadcast = false) {
+        EventBus.getDefault().emit(EventBus.EVENTS.STORAGE_CHANGED, { key, remote: false }, { broadcast });
+    }
+
+    /**
+     * Obtiene el valor de una clave (null si no existe)
+     */
+    async get(key) {
+        throw new Error(`${this.constructor.name}.get() no implementado`);
+    }
+
+    /**
+     * Guarda un valor serializable
+     */
+    async set(key, value) {
+        throw new Error(`${this.constructor.name}.set() no implementado`);
+    }
+
+    /**
+     * Elimina una clave
+     */
+    async remove(key) {
+        throw new Error(`${this.constructor.name}.remove() no implementado`);
+    }
+
+    /**
+     * Lista las claves guardadas que empiezan por el prefijo
+     */
+    async keys(prefix = '') {
+        throw new Error(`${this.constructor.name}.keys() no implementado`);
+    }
+}
+
+/**
+ * Clase LocalStorageAdapter
+ * Adaptador sobre Web Storage (localStorage por defecto): síncrono por debajo
+ * y con el límite de ~5 MB del navegador
+ */
+class LocalStorageAdapter extends StorageAdapter {
+    constructor(storage = localStorage) {
+        super();
+        this.storage = storage;
+    }
+
+    /**
+     * Verifica si localStorage está disponible y funcional
+     */
+    static isAvailable() {
+        try {
+            const testKey = '__storage_test__';
+            localStorage.setItem(testKey, 'test');
+            localStorage.removeItem(testKey);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    async get(key) {
+        return StorageAdapter.parse(this.storage.getItem(key));
+    }
+
+    async set(key, value) {
+        await StorageQuota.write(key, value, data => this.storage.setItem(key, JSON.stringify(data)), this);
+        StorageAdapter.notify(key);
+    }
+
+    async remove(key) {
+        this.storage.removeItem(key);
+        StorageAdapter.notify(key);
+    }
+
+    async keys(prefix = '') {
+        const keys = [];
+        for (let i = 0; i < this.storage.length; i++) {
+            const key = this.storage.key(i);
+            if (key && key.startsWith(prefix)) {
+                keys.push(key);
+            }
+        }
+        return keys;
+    }
+}
+
+/**
+ * Clase MemoryStorageAdapter
+ * Adaptador en memoria: no persiste nada, útil para pruebas y entornos sin navegador
+ */
+class MemoryStorageAdapter extends StorageAdapter {
+    constructor(initialData = {}) {
+        super();
+        this.data = new Map(Object.entries(initialData));
+    }
+
+    async get(key) {
+        // Copiamos para que nadie modifique el valor guardado por referencia
+        return this.data.has(key) ? JSON.parse(JSON.stringify(this.data.get(key))) : null;
+    }
+
+    async set(key, value) {
+        await StorageQuota.write(key, value, data => this.data.set(key, JSON.parse(JSON.stringify(data))), this);
+        StorageAdapter.notify(key);
+    }
+
+    async remove(key) {
+        this.data.delete(key);
+        StorageAdapter.notify(key);
+    }
+
+    async keys(prefix = '') {
+        return [...this.data.keys()].filter(key => key.startsWith(prefix));
+    }
+}
+
+/**
+ * Clase IndexedDBAdapter
+ * Adaptador sobre IndexedDB: asíncrono y sin el límite de localStorage
+ *
+ * Al abrir la base de datos migra las claves gestionadas que aún estén en
+ * localStorage. Si IndexedDB no puede abrirse (ej: algunos modos privados)
+ * recurre a localStorage.
+ */
+class IndexedDBAdapter extends StorageAdapter {
+    constructor(options = {}) {
+        super();
+        this.dbName = options.dbName || 'printconnect';
+        this.storeName = options.storeName || 'data';
+        this.migrateKeys = options.migrateKeys || StorageAdapter.MANAGED_KEYS;
+        this.dbPromise = null;
+        this.fallback = null;
+    }
+
+    /**
+     * Abre la base de datos (una sola vez) y migra los datos heredados
+     * Retorna null si hubo que recurrir a localStorage
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            })
+                .then(async (db) => {
+                    await this.migrateFromLocalStorage(db);
+                    return db;
+                })
+                .catch(error => {
+                    console.warn('⚠️ IndexedDB no disponible, se usa localStorage:', error);
+                    this.fallback = new LocalStorageAdapter();
+                    return null;
+                });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Copia a IndexedDB las claves gestionadas que sigan en localStorage y las borra de allí
+     * Si otra pestaña ya migró una clave, se conserva el valor de IndexedDB
+     */
+    migrateFromLocalStorage(db) {
+        let legacy = [];
+        try {
+            legacy = this.migrateKeys.filter(key => localStorage.getItem(key) !== null);
+        } catch (error) {
+            return Promise.resolve(0);
+        }
+
+        if (legacy.length === 0) {
+            return Promise.resolve(0);
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, 'readwrite');
+            const store = transaction.objectStore(this.storeName);
+
+            legacy.forEach(key => {
+                const request = store.get(key);
+                request.onsuccess = () => {
+                    if (request.result === undefined) {
+                        store.put(StorageAdapter.parse(localStorage.getItem(key)), key);
+                    }
+                };
+            });
+
+            transaction.oncomplete = () => {
+                legacy.forEach(key => localStorage.removeItem(key));
+                console.log(`📦 ${legacy.length} clave(s) migrada(s) de localStorage a IndexedDB`);
+                resolve(legacy.length);
+            };
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Ejecuta una operación en una transacción y espera a que se complete
+     */
+    async run(mode, operation) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    async get(key) {
+        if (!(await this.open())) return this.fallback.get(key);
+
+        const value = await this.run('readonly', store => store.get(key));
+        return value === undefined ? null : value;
+    }
+
+    async set(key, value) {
+        if (!(await this.open())) return this.fallback.set(key, value);
+
+        await StorageQuota.write(key, value, data => this.run('readwrite', store => store.put(data, key)), this);
+        StorageAdapter.notify(key, true);
+    }
+
+    async remove(key) {
+        if (!(await this.open())) return this.fallback.remove(key);
+
+        await this.run('readwrite', store => store.delete(key));
+        StorageAdapter.notify(key, true);
+    }
+
+    async keys(prefix = '') {
+        if (!(await this.open())) return this.fallback.keys(prefix);
+
+        const keys = await this.run('readonly', store => store.getAllKeys());
+        return keys.filter(key => typeof key === 'string' && key.startsWith(prefix));
+    }
+}
\ No newline at end of file
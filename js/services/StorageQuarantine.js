@@ -0,0 +1,432 @@
+/**
+ * Clase StorageQuarantine
+ * Validación por clave de los datos guardados y cuarentena de los que no la cumplen
+ *
+ * Cada clave printconnect_* tiene un esquema (tipo del valor y, en las listas,
+ * reglas por registro). Lo que no lo cumple no se borra: se aparta a
+ * printconnect_quarantine para que un administrador lo revise, repare, restaure
+ * o descarte. De una lista dañada se conservan los registros que se pueden leer.
+ */
+class StorageQuarantine {
+    static get STORAGE_KEY() {
+        return 'printconnect_quarantine';
+    }
+
+    /**
+     * Esquema de cada clave
+     * type: 'array' | 'object' | 'string' | 'integer' | 'text' (texto libre, siempre válido)
+     * record(value): en las listas, retorna los errores de un registro ([] si es válido)
+     * Las claves sin esquema solo se comprueban si parecen JSON
+     */
+    static get SCHEMAS() {
+        const object = record => StorageQuarantine.isObject(record) ? [] : ['No es un objeto'];
+        const dated = record => {
+            if (!StorageQuarantine.isObject(record)) return ['No es un objeto'];
+            return Number.isNaN(new Date(record.timestamp).getTime()) ? ['Fecha no válida'] : [];
+        };
+
+        return {
+            printconnect_users: {
+                label: 'Usuarios',
+                type: 'array',
+                record: user => {
+                    if (!StorageQuarantine.isObject(user)) return ['No es un objeto'];
+                    const errors = ['name', 'email']
+                        .map(field => UserSchema.validateField(field, user[field]))
+                        .filter(Boolean);
+                    if (!user.passwordHash && !user.password) {
+                        errors.push('Sin contraseña');
+                    }
+                    // Los registros antiguos sin id lo reciben al cargarse
+                    if (user.id !== undefined && !User.isValidId(user.id)) {
+                        errors.push('Id no válido');
+                    }
+                    return errors;
+                }
+            },
+            printconnect_security_settings: { label: 'Ajustes de seguridad', type: 'object' },
+            printconnect_contact_history: { label: 'Historial de contacto', type: 'array', record: dated },
+            printconnect_page_logs: { label: 'Accesos a páginas (formato antiguo)', type: 'array', record: dated },
+            printconnect_audit_log: {
+                label: 'Registro de auditoría',
+                type: 'array',
+                record: entry => {
+                    const errors = dated(entry);
+                    return errors.length === 0 && typeof entry.type !== 'string' ? ['Sin tipo de evento'] : errors;
+                }
+            },
+            printconnect_theme: { label: 'Tema', type: 'string' },
+            printconnect_sync_outbox: { label: 'Cambios pendientes de sincronizar', type: 'array', record: object },
+            printconnect_sync_state: { label: 'Estado de sincronización', type: 'object' },
+            printconnect_sync_config: { label: 'Configuración de sincronización', type: 'object' },
+            printconnect_schema_version: { label: 'Versión de los datos', type: 'integer' },
+            printconnect_outbox: { label: 'Bandeja de salida', type: 'array', record: object },
+            printconnect_sessions: { label: 'Sesiones abiertas', type: 'array', record: object },
+            printconnect_one_time_codes: { label: 'Códigos de un solo uso', type: 'array', record: object },
+            printconnect_login_attempts: { label: 'Intentos de inicio de sesión', type: 'object' },
+            printconnect_session: { label: 'Token de sesión', type: 'text' },
+            printconnect_quarantine: { label: 'Cuarentena', type: 'array', record: object }
+        };
+    }
+
+    /**
+     * Indica si un valor es un objeto plano (no null ni array)
+     */
+    static isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    /**
+     * Nombre legible de una clave
+     */
+    static getLabel(key) {
+        const schema = this.SCHEMAS[key];
+        return schema ? schema.label : key;
+    }
+
+    /**
+     * Lee el valor de una clave sin pasar por la sincronización
+     * Un JSON dañado se recibe como texto (ver StorageAdapter.parse)
+     */
+    static async read(key) {
+        if (StorageUtils.isAdapterKey(key)) {
+            return StorageUtils.localAdapter.get(key);
+        }
+        return StorageAdapter.parse(localStorage.getItem(key));
+    }
+
+    /**
+     * Guarda (o elimina si es null) el valor de una clave sin pasar por la sincronización
+     * (reparar datos locales no debe propagar borrados al servidor)
+     */
+    static async write(key, value) {
+        if (StorageUtils.isAdapterKey(key)) {
+            if (value === null) {
+                await StorageUtils.localAdapter.remove(key);
+            } else {
+                await StorageUtils.localAdapter.set(key, value);
+            }
+            return;
+        }
+
+        if (value === null) {
+            localStorage.removeItem(key);
+        } else {
+            localStorage.setItem(key, typeof value === 'string' ? value : JSON.stringify(value));
+        }
+        StorageAdapter.notify(key);
+    }
+
+    /**
+     * Comprueba un valor contra el esquema de su clave
+     * Retorna { valid, errors, kept, rejected: [{ index, record, errors }], damaged }
+     * kept: registros válidos de una lista (también los recuperados de un JSON dañado)
+     * damaged: el valor era texto JSON ilegible
+     */
+    static check(key, value) {
+        const schema = this.SCHEMAS[key];
+        const result = { valid: true, errors: [], kept: null, rejected: [], damaged: false };
+        const fail = (message) => {
+            result.valid = false;
+            result.errors.push(message);
+            return result;
+        };
+
+        if (value === null) {
+            return result;
+        }
+
+        if (!schema) {
+            const looksLikeJson = typeof value === 'string' && /^\s*[[{]/.test(value);
+            return looksLikeJson ? fail('El JSON está dañado') : result;
+        }
+
+        switch (schema.type) {
+            case 'text':
+                return result;
+            case 'string':
+                return typeof value === 'string' ? result : fail('Se esperaba un texto');
+            case 'integer':
+                return Number.isInteger(value) ? result : fail('Se esperaba un número entero');
+            case 'object':
+                if (typeof value === 'string') {
+                    result.damaged = true;
+                    return fail('El JSON está dañado');
+                }
+                return this.isObject(value) ? result : fail('Se esperaba un objeto');
+        }
+
+        // Listas: una dañada se recupera registro a registro
+        let records = value;
+        if (typeof value === 'string') {
+            const salvage = this.salvageArray(value);
+            records = salvage.records;
+            result.damaged = true;
+            fail(`El JSON está dañado (${salvage.records.length} registro(s) recuperado(s), ${salvage.lost} ilegible(s))`);
+        } else if (!Array.isArray(value)) {
+            return fail('Se esperaba una lista');
+        }
+
+        result.kept = [];
+        records.forEach((record, index) => {
+            const errors = schema.record ? schema.record(record) : [];
+            if (errors.length > 0) {
+                result.rejected.push({ index, record, errors });
+            } else {
+                result.kept.push(record);
+            }
+        });
+        if (result.rejected.length > 0) {
+            fail(`${result.rejected.length} registro(s) no válido(s)`);
+        }
+        return result;
+    }
+
+    /**
+     * Recupera los elementos legibles de un array JSON dañado o truncado
+     * Recorre el texto separando los elementos de primer nivel e interpreta cada uno por separado
+     * Retorna { records, lost }
+     */
+    static salvageArray(text) {
+        const records = [];
+        let lost = 0;
+        const start = text.indexOf('[');
+        if (start === -1) {
+            return { records, lost };
+        }
+
+        let depth = 0;
+        let inString = false;
+        let escaped = false;
+        let segmentStart = start + 1;
+        const take = (end) => {
+            const segment = text.slice(segmentStart, end).trim();
+            if (!segment) return;
+            try {
+                records.push(JSON.parse(segment));
+            } catch (error) {
+                lost++;
+            }
+        };
+
+        for (let i = start + 1; i < text.length; i++) {
+            const char = text[i];
+            if (inString) {
+                if (escaped) escaped = false;
+                else if (char === '\\') escaped = true;
+                else if (char === '"') inString = false;
+                continue;
+            }
+
+            if (char === '"') {
+                inString = true;
+            } else if (char === '{' || char === '[') {
+                depth++;
+            } else if (char === '}' || char === ']') {
+                if (depth === 0) {
+                    take(i);
+                    return { records, lost };
+                }
+                depth--;
+            } else if (char === ',' && depth === 0) {
+                take(i);
+                segmentStart = i + 1;
+            }
+        }
+
+        // Texto truncado: el último elemento suele estar incompleto
+        take(text.length);
+        return { records, lost };
+    }
+
+    /**
+     * Comprueba todas las claves de PrintConnect
+     * Retorna { total, valid, invalid: [claves], details: [{ key, status, errors }] }
+     */
+    static async inspect() {
+        const keys = await StorageUtils.getPrintConnectKeys();
+        const results = { total: keys.length, valid: 0, invalid: [], details: [] };
+
+        for (const key of keys) {
+            const check = this.check(key, await this.read(key));
+            if (check.valid) {
+                results.valid++;
+                results.details.push({ key, status: 'valid' });
+            } else {
+                results.invalid.push(key);
+                results.details.push({ key, status: 'invalid', errors: check.errors });
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Aparta a la cuarentena todo lo que no cumple su esquema
+     * Una lista conserva sus registros válidos (y los legibles si estaba dañada);
+     * cualquier otro valor no válido se retira de su clave
+     * Retorna { success, message, quarantined, recovered, keys }
+     */
+    static async quarantineInvalid() {
+        const inspection = await this.inspect();
+        const entries = await this.list();
+        const keys = [];
+        let recovered = 0;
+
+        for (const key of inspection.invalid) {
+            if (key === this.STORAGE_KEY) continue;
+
+            try {
+                const value = await this.read(key);
+                const check = this.check(key, value);
+                const partial = check.kept !== null && !check.damaged;
+
+                entries.push({
+                    id: CryptoUtils.randomId(),
+                    key,
+                    kind: partial ? 'records' : 'value',
+                    value: partial ? check.rejected.map(item => item.record) : value,
+                    errors: partial
+                        ? check.rejected.map(item => `Registro ${item.index + 1}: ${item.errors.join(', ')}`)
+                        : check.errors,
+                    recovered: check.kept ? check.kept.length : 0,
+                    quarantinedAt: new Date().toISOString()
+                });
+
+                await this.write(key, check.kept && check.kept.length > 0 ? check.kept : null);
+                recovered += check.kept ? check.kept.length : 0;
+                keys.push(key);
+                console.warn(`🧪 ${key} en cuarentena:`, check.errors);
+            } catch (error) {
+                console.error(`Error al poner en cuarentena ${key}:`, error);
+            }
+        }
+
+        // La propia cuarentena no se aparta: al guardarla se reescribe con lo legible
+        if (keys.length > 0 || inspection.invalid.includes(this.STORAGE_KEY)) {
+            await this.save(entries);
+        }
+
+        return {
+            success: true,
+            quarantined: keys.length,
+            recovered,
+            keys,
+            message: keys.length > 0
+                ? `${keys.length} clave(s) en cuarentena, ${recovered} registro(s) recuperado(s)`
+                : 'No se encontraron datos corruptos'
+        };
+    }
+
+    /**
+     * Elementos en cuarentena, del más antiguo al más reciente
+     * (si la propia cuarentena está dañada, los elementos legibles)
+     */
+    static async list() {
+        const check = this.check(this.STORAGE_KEY, await this.read(this.STORAGE_KEY));
+        return check.kept || [];
+    }
+
+    /**
+     * Guarda la lista completa de elementos (vacía: elimina la clave)
+     */
+    static async save(entries) {
+        await this.write(this.STORAGE_KEY, entries.length > 0 ? entries : null);
+    }
+
+    /**
+     * Busca un elemento por id (null si no existe)
+     */
+    static async find(id) {
+        return (await this.list()).find(entry => entry.id === id) || null;
+    }
+
+    /**
+     * Texto editable de un elemento (JSON legible o el texto dañado tal cual)
+     */
+    static toEditableText(entry) {
+        return typeof entry.value === 'string' ? entry.value : JSON.stringify(entry.value, null, 2);
+    }
+
+    /**
+     * Devuelve un elemento a su clave tal como estaba
+     * 'value': sustituye el valor actual; 'records': añade los registros a la lista actual
+     */
+    static async restore(id) {
+        const entry = await this.find(id);
+        if (!entry) {
+            return { success: false, message: 'El elemento ya no está en cuarentena' };
+        }
+
+        try {
+            await this.put(entry, entry.value);
+            await this.discard(id);
+            return { success: true, message: `${this.getLabel(entry.key)}: datos restaurados sin cambios`, key: entry.key };
+        } catch (error) {
+            console.error('Error al restaurar desde la cuarentena:', error);
+            return { success: false, message: 'No se pudo restaurar: ' + error.message };
+        }
+    }
+
+    /**
+     * Sustituye un elemento por su versión corregida (texto JSON) y la devuelve a su clave
+     * La corrección debe cumplir el esquema de la clave
+     */
+    static async repair(id, text) {
+        const entry = await this.find(id);
+        if (!entry) {
+            return { success: false, message: 'El elemento ya no está en cuarentena', errors: [] };
+        }
+
+        let value;
+        try {
+            value = JSON.parse(text);
+        } catch (error) {
+            return { success: false, message: 'La corrección no es un JSON válido', errors: [error.message] };
+        }
+
+        const check = entry.kind === 'records'
+            ? (Array.isArray(value) ? this.check(entry.key, value) : { valid: false, errors: ['Se esperaba una lista de registros'] })
+            : this.check(entry.key, value);
+        if (!check.valid) {
+            const errors = check.rejected && check.rejected.length > 0
+                ? check.rejected.map(item => `Registro ${item.index + 1}: ${item.errors.join(', ')}`)
+                : check.errors;
+            return { success: false, message: 'La corrección sigue sin cumplir el esquema', errors };
+        }
+
+        try {
+            await this.put(entry, value);
+            await this.discard(id);
+            return { success: true, message: `${this.getLabel(entry.key)}: datos reparados`, errors: [], key: entry.key };
+        } catch (error) {
+            console.error('Error al reparar desde la cuarentena:', error);
+            return { success: false, message: 'No se pudo guardar la reparación', errors: [error.message] };
+        }
+    }
+
+    /**
+     * Escribe el contenido de un elemento en su clave según su tipo
+     */
+    static async put(entry, value) {
+        if (entry.kind === 'records') {
+            const current = await this.read(entry.key);
+            await this.write(entry.key, [...(Array.isArray(current) ? current : []), ...value]);
+        } else {
+            await this.write(entry.key, value);
+        }
+    }
+
+    /**
+     * Elimina un elemento de la cuarentena
+     */
+    static async discard(id) {
+        const entries = await this.list();
+        const remaining = entries.filter(entry => entry.id !== id);
+        await this.save(remaining);
+        return {
+            success: remaining.length < entries.length,
+            message: remaining.length < entries.length ? 'Elemento descartado' : 'El elemento ya no está en cuarentena'
+        };
+    }
+}
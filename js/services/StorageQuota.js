@@ -0,0 +1,218 @@
+/**
+ * Clase StorageQuota
+ * Retención de los almacenes que crecen sin límite (registros, historial, bandeja)
+ * y recuperación cuando el navegador se queda sin espacio
+ *
+ * Cada escritura de una clave con política se recorta a su máximo de entradas.
+ * Si una escritura falla por cuota (QuotaExceededError), se descartan las entradas
+ * más antiguas de los almacenes con política y se reintenta una vez; si vuelve a
+ * fallar, el error llega a quien escribía.
+ */
+class StorageQuota {
+    /**
+     * Políticas de retención por clave (los arrays se guardan del más antiguo al más reciente)
+     * maxEntries: entradas que se conservan en cada escritura (null: sin límite por número;
+     * el registro de auditoría se limita por tamaño, ver AuditLog.applyRetention)
+     * location: dónde vive la clave ('adapter' o 'localStorage')
+     */
+    static get RETENTION_POLICIES() {
+        return {
+            printconnect_audit_log: { label: 'Registro de auditoría', location: 'adapter', maxEntries: null },
+            printconnect_contact_history: { label: 'Historial de contacto', location: 'adapter', maxEntries: 50 },
+            printconnect_page_logs: { label: 'Accesos a páginas (formato antiguo)', location: 'adapter', maxEntries: 100 },
+            printconnect_outbox: { label: 'Bandeja de salida', location: 'localStorage', maxEntries: 100 }
+        };
+    }
+
+    /**
+     * Parte de cada almacén que se descarta al quedarse sin espacio
+     */
+    static get EVICTION_FRACTION() {
+        return 0.25;
+    }
+
+    /**
+     * Cuota habitual de localStorage: unos 5 millones de caracteres UTF-16 por origen
+     */
+    static get LOCAL_STORAGE_QUOTA() {
+        return 5 * 1024 * 1024 * 2;
+    }
+
+    /**
+     * Umbrales de uso para avisar (warning) y liberar espacio por adelantado (critical)
+     */
+    static get WARNING_RATIO() {
+        return 0.8;
+    }
+
+    static get CRITICAL_RATIO() {
+        return 0.95;
+    }
+
+    /**
+     * Bytes que ocupa un texto en Web Storage (UTF-16: 2 bytes por unidad)
+     */
+    static byteLength(text) {
+        return text === null || text === undefined ? 0 : String(text).length * 2;
+    }
+
+    /**
+     * Indica si un error es por falta de espacio (cada navegador lo nombra a su manera)
+     */
+    static isQuotaError(error) {
+        return !!error && (
+            error.name === 'QuotaExceededError' ||
+            error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+            error.code === 22 ||
+            error.code === 1014
+        );
+    }
+
+    /**
+     * Recorta un valor al máximo de entradas de su política (si la tiene)
+     */
+    static applyRetention(key, value) {
+        const policy = this.RETENTION_POLICIES[key];
+        if (!policy || !policy.maxEntries || !Array.isArray(value) || value.length <= policy.maxEntries) {
+            return value;
+        }
+        return value.slice(value.length - policy.maxEntries);
+    }
+
+    /**
+     * Descarta la parte más antigua de una lista (al menos una entrada)
+     */
+    static trimOldest(entries) {
+        return entries.slice(Math.max(1, Math.ceil(entries.length * this.EVICTION_FRACTION)));
+    }
+
+    /**
+     * Escribe un valor aplicando la retención de su clave
+     * write(value) hace la escritura real; adapter es donde viven las claves 'adapter'.
+     * Si falla por cuota se liberan las entradas más antiguas de los demás almacenes y
+     * se reintenta; si la propia clave tiene política, su valor se sigue recortando
+     * mientras no quepa
+     */
+    static async write(key, value, write, adapter = null) {
+        let data = this.applyRetention(key, value);
+        try {
+            return await write(data);
+        } catch (error) {
+            // Durante la liberación no se reintenta: evict() sigue con el siguiente almacén
+            if (!this.isQuotaError(error) || this.evicting) {
+                throw error;
+            }
+        }
+
+        console.warn(`⚠️ Almacenamiento lleno al guardar ${key}: se descartan las entradas más antiguas`);
+        await this.evict({ adapter, exclude: key });
+        const trimmable = () => !!this.RETENTION_POLICIES[key] && Array.isArray(data) && data.length > 1;
+
+        for (;;) {
+            if (trimmable()) {
+                data = this.trimOldest(data);
+            }
+            try {
+                return await write(data);
+            } catch (error) {
+                if (!this.isQuotaError(error) || !trimmable()) {
+                    throw error;
+                }
+            }
+        }
+    }
+
+    /**
+     * Descarta las entradas más antiguas de cada almacén con política
+     * Retorna los bytes liberados (aproximados)
+     */
+    static async evict({ adapter = null, exclude = null } = {}) {
+        const store = adapter || StorageAdapter.getDefault();
+        let freed = 0;
+
+        this.evicting = true;
+        try {
+            for (const [key, policy] of Object.entries(this.RETENTION_POLICIES)) {
+                if (key === exclude) continue;
+
+                try {
+                    const entries = policy.location === 'localStorage'
+                        ? StorageAdapter.parse(localStorage.getItem(key))
+                        : await store.get(key);
+                    if (!Array.isArray(entries) || entries.length === 0) continue;
+
+                    const kept = this.trimOldest(entries);
+                    if (policy.location === 'localStorage') {
+                        localStorage.setItem(key, JSON.stringify(kept));
+                        StorageAdapter.notify(key);
+                    } else {
+                        await store.set(key, kept);
+                    }
+                    freed += this.byteLength(JSON.stringify(entries)) - this.byteLength(JSON.stringify(kept));
+                } catch (error) {
+                    console.error(`Error al liberar espacio en ${key}:`, error);
+                }
+            }
+        } finally {
+            this.evicting = false;
+        }
+
+        console.warn(`🧹 Liberados unos ${Math.round(freed / 1024)} KB descartando las entradas más antiguas`);
+        return freed;
+    }
+
+    /**
+     * Uso del almacenamiento frente a su cuota
+     * localStorage: todas sus claves (la cuota es del origen entero); IndexedDB: la
+     * estimación del navegador (navigator.storage.estimate) si está disponible.
+     * Se informa del que esté más cerca de llenarse
+     * Retorna { source, usage, quota, ratio, level: 'ok' | 'warning' | 'critical' }
+     */
+    static async getStatus() {
+        let localUsage = 0;
+        try {
+            for (let i = 0; i < localStorage.length; i++) {
+                const key = localStorage.key(i);
+                localUsage += this.byteLength(key) + this.byteLength(localStorage.getItem(key));
+            }
+        } catch (error) {
+            console.error('Error al medir localStorage:', error);
+        }
+
+        const candidates = [{ source: 'localStorage', usage: localUsage, quota: this.LOCAL_STORAGE_QUOTA }];
+        if (typeof navigator !== 'undefined' && navigator.storage && navigator.storage.estimate) {
+            try {
+                const estimate = await navigator.storage.estimate();
+                if (estimate.quota) {
+                    candidates.push({ source: 'origin', usage: estimate.usage || 0, quota: estimate.quota });
+                }
+            } catch (error) {
+                console.warn('No se pudo estimar la cuota del navegador:', error);
+            }
+        }
+
+        const status = candidates
+            .map(candidate => ({ ...candidate, ratio: candidate.usage / candidate.quota }))
+            .sort((a, b) => b.ratio - a.ratio)[0];
+
+        return {
+            ...status,
+            level: status.ratio >= this.CRITICAL_RATIO ? 'critical'
+                : status.ratio >= this.WARNING_RATIO ? 'warning'
+                : 'ok'
+        };
+    }
+
+    /**
+     * Libera espacio por adelantado si el uso supera el umbral crítico
+     * (así las siguientes escrituras, como un registro nuevo, no llegan a fallar)
+     */
+    static async enforce(adapter = null) {
+        const status = await this.getStatus();
+        if (status.level === 'critical') {
+            await this.evict({ adapter });
+            return { ...(await this.getStatus()), evicted: true };
+        }
+        return { ...status, evicted: false };
+    }
+}
@@ -1,6 +1,10 @@
 /**
  * Clase StorageUtils
- * Proporciona utilidades adicionales para gestión de datos y localStorage
+ * Proporciona utilidades adicionales para gestión de datos y almacenamiento
+ *
+ * Las claves de StorageAdapter.MANAGED_KEYS se leen a través del adaptador
+ * (IndexedDB o localStorage); el resto directamente de localStorage.
+ * Los métodos que tocan el adaptador son asíncronos.
  */
 class StorageUtils {
     /**
@@ -20,86 +24,329 @@ class StorageUtils {
     }
 
     /**
-     * Obtiene el tamaño aproximado usado en localStorage
-     * Útil para monitorear cuánto espacio estamos usando
+     * Adaptador de almacenamiento de la página
      */
-    static getStorageSize() {
-        let total = 0;
-        for (let key in localStorage) {
-            if (localStorage.hasOwnProperty(key)) {
-                total += localStorage[key].length + key.length;
-            }
+    static get adapter() {
+        return StorageAdapter.getDefault();
+    }
+
+    /**
+     * Adaptador del que leer sin pasar por la sincronización remota
+     * (inspeccionar datos para un backup no cuenta como lectura de la aplicación)
+     */
+    static get localAdapter() {
+        const adapter = this.adapter;
+        if (typeof RemoteSyncAdapter !== 'undefined' && adapter instanceof RemoteSyncAdapter) {
+            return adapter.local;
+        }
+        return adapter;
+    }
+
+    /**
+     * Indica si una clave vive en el adaptador y no en localStorage
+     */
+    static isAdapterKey(key) {
+        return StorageAdapter.MANAGED_KEYS.includes(key);
+    }
+
+    /**
+     * Lee una clave como texto, igual que localStorage.getItem
+     */
+    static async getItem(key) {
+        if (this.isAdapterKey(key)) {
+            const value = await this.localAdapter.get(key);
+            return value === null ? null : JSON.stringify(value);
+        }
+        return localStorage.getItem(key);
+    }
+
+    /**
+     * Guarda una clave a partir de su texto, igual que localStorage.setItem
+     */
+    static async setItem(key, text) {
+        if (this.isAdapterKey(key)) {
+            await this.adapter.set(key, StorageAdapter.parse(text));
+            return;
+        }
+        localStorage.setItem(key, text);
+        StorageAdapter.notify(key);
+    }
+
+    /**
+     * Elimina una clave de donde esté guardada
+     */
+    static async removeItem(key) {
+        if (this.isAdapterKey(key)) {
+            await this.adapter.remove(key);
+        }
+        localStorage.removeItem(key);
+
+        // Las claves del adaptador ya las avisa el propio adaptador
+        if (!this.isAdapterKey(key)) {
+            StorageAdapter.notify(key);
+        }
+    }
+
+    /**
+     * Obtiene el tamaño de los datos de PrintConnect, en total y por clave
+     * Se cuenta en UTF-16 (2 bytes por carácter, como los guarda Web Storage);
+     * para las claves en IndexedDB es una estimación a partir de su JSON
+     * byKey: [{ key, bytes, location }] de la que más ocupa a la que menos
+     */
+    static async getStorageSize() {
+        const byKey = [];
+        for (const key of await this.getPrintConnectKeys()) {
+            const value = await this.getItem(key);
+            byKey.push({
+                key,
+                bytes: StorageQuota.byteLength(key) + StorageQuota.byteLength(value),
+                location: this.isAdapterKey(key) ? this.localAdapter.constructor.name : 'localStorage'
+            });
         }
+        byKey.sort((a, b) => b.bytes - a.bytes);
+
+        const total = byKey.reduce((sum, entry) => sum + entry.bytes, 0);
         return {
             bytes: total,
             kilobytes: (total / 1024).toFixed(2),
-            megabytes: (total / 1024 / 1024).toFixed(4)
+            megabytes: (total / 1024 / 1024).toFixed(4),
+            byKey
         };
     }
 
     /**
      * Lista todas las claves relacionadas con PrintConnect
      */
-    static getPrintConnectKeys() {
-        const keys = [];
+    static async getPrintConnectKeys() {
+        const keys = new Set(await this.localAdapter.keys('printconnect_'));
         for (let i = 0; i < localStorage.length; i++) {
             const key = localStorage.key(i);
             if (key && key.startsWith('printconnect_')) {
-                keys.push(key);
+                keys.add(key);
             }
         }
-        return keys;
+        return [...keys];
+    }
+
+    /**
+     * Toma una instantánea antes de una operación que modifica muchos datos
+     * Si no se puede guardar (ej: sin espacio) la operación sigue adelante
+     */
+    static async snapshotBefore(reason) {
+        const result = await SnapshotStore.getDefault().take(reason);
+        if (!result.success) {
+            console.warn('⚠️ Se continúa sin instantánea previa:', result.message);
+        }
+        return result;
     }
 
     /**
-     * Limpia todos los datos de PrintConnect del localStorage
+     * Limpia todos los datos de PrintConnect
      * Útil para "borrar todos los datos de la aplicación"
      */
-    static clearAllPrintConnectData() {
-        const keys = this.getPrintConnectKeys();
-        keys.forEach(key => {
-            localStorage.removeItem(key);
-        });
+    static async clearAllPrintConnectData() {
+        await this.snapshotBefore(SnapshotStore.REASONS.CLEAR);
+        const keys = await this.getPrintConnectKeys();
+        for (const key of keys) {
+            await this.removeItem(key);
+        }
         return keys.length;
     }
 
+    /**
+     * Únicas claves que se copian en un backup y se restauran desde él
+     * Quedan fuera los secretos y el estado propio de este navegador: sesiones y su
+     * clave de firma, códigos de un solo uso, bandeja de correo (lleva códigos y
+     * enlaces), intentos de login, configuración y cola de sincronización, cuarentena
+     */
+    static get BACKUP_KEYS() {
+        return [
+            'printconnect_users',
+            'printconnect_security_settings',
+            'printconnect_contact_history',
+            'printconnect_page_logs',
+            'printconnect_audit_log',
+            'printconnect_theme',
+            'printconnect_schema_version'
+        ];
+    }
+
+    /**
+     * Longitud mínima de la contraseña de un backup cifrado
+     */
+    static get BACKUP_PASSPHRASE_MIN_LENGTH() {
+        return 8;
+    }
+
+    /**
+     * Indica si una clave puede formar parte de un backup
+     */
+    static isBackupKey(key) {
+        return this.BACKUP_KEYS.includes(key);
+    }
+
     /**
      * Crea un backup de todos los datos de PrintConnect
-     * Retorna un objeto JSON que puede guardarse como archivo
+     * Retorna { version, timestamp, data } con cada valor como texto, igual que en las
+     * versiones con localStorage. Para guardarlo en un archivo se empaqueta con packBackup
      */
-    static createBackup() {
+    static async createBackup() {
         const backup = {
             version: '1.0',
             timestamp: new Date().toISOString(),
             data: {}
         };
 
-        const keys = this.getPrintConnectKeys();
-        keys.forEach(key => {
+        const keys = (await this.getPrintConnectKeys()).filter(key => this.isBackupKey(key));
+        for (const key of keys) {
             try {
-                backup.data[key] = localStorage.getItem(key);
+                backup.data[key] = await this.getItem(key);
             } catch (e) {
                 console.error(`Error al hacer backup de ${key}:`, e);
             }
-        });
+        }
 
         return backup;
     }
 
     /**
-     * Restaura datos desde un backup
+     * Empaqueta un backup para guardarlo en un archivo (formato 2.0)
+     * payload: el backup en JSON, cifrado con AES-GCM si se indica una contraseña
+     * checksum: SHA-256 del payload tal como se guarda, para detectar archivos dañados, truncados
+     * o editados a mano. Solo el cifrado impide que alguien lo modifique y recalcule el checksum
+     */
+    static async packBackup(backup, passphrase = null) {
+        let payload = JSON.stringify({ timestamp: backup.timestamp, data: backup.data });
+        let encryption = null;
+
+        if (passphrase) {
+            if (passphrase.length < this.BACKUP_PASSPHRASE_MIN_LENGTH) {
+                throw new Error(`La contraseña del backup debe tener al menos ${this.BACKUP_PASSPHRASE_MIN_LENGTH} caracteres`);
+            }
+            const { ciphertext, ...params } = await CryptoUtils.encryptWithPassphrase(payload, passphrase);
+            payload = ciphertext;
+            encryption = params;
+        }
+
+        return {
+            version: '2.0',
+            timestamp: backup.timestamp,
+            encryption,
+            checksum: await CryptoUtils.sha256(payload),
+            payload
+        };
+    }
+
+    /**
+     * Lee un archivo de backup comprobando su integridad
+     * options: { passphrase, allowUnverified }
+     * - Formato 2.0: verifica el checksum y, si está cifrado, lo descifra con la contraseña
+     * - Formato 1.0 (sin checksum): solo se acepta con allowUnverified
+     * Solo se conservan las claves de BACKUP_KEYS (ver isBackupKey); el resto se descartan
+     * Retorna { success, backup: { version, schemaVersion, timestamp, data }, encrypted, skipped }
+     * o { success: false, message, needsPassphrase, unverified }
+     */
+    static async readBackup(file, { passphrase = null, allowUnverified = false } = {}) {
+        const fail = (message, extra = {}) => ({ success: false, message, ...extra });
+
+        if (!file || typeof file !== 'object') {
+            return fail('El archivo no es un backup válido');
+        }
+
+        let content;
+        if (file.payload === undefined && file.data) {
+            if (!allowUnverified) {
+                return fail('El backup no tiene checksum (formato antiguo): no se puede comprobar que esté completo', { unverified: true });
+            }
+            content = file;
+        } else {
+            if (typeof file.payload !== 'string' || typeof file.checksum !== 'string') {
+                return fail('El backup está incompleto');
+            }
+
+            const checksum = await CryptoUtils.sha256(file.payload);
+            if (!CryptoUtils.timingSafeEqual(checksum, file.checksum)) {
+                return fail('El backup está dañado o ha sido modificado: el checksum no coincide');
+            }
+
+            let text = file.payload;
+            if (file.encryption) {
+                if (!passphrase) {
+                    return fail('El backup está cifrado: introduce su contraseña', { needsPassphrase: true });
+                }
+                try {
+                    text = await CryptoUtils.decryptWithPassphrase({ ...file.encryption, ciphertext: file.payload }, passphrase);
+                } catch (e) {
+                    return fail('No se pudo descifrar el backup: la contraseña no es correcta o el archivo fue modificado', { needsPassphrase: true });
+                }
+            }
+
+            try {
+                content = JSON.parse(text);
+            } catch (e) {
+                return fail('El contenido del backup está dañado');
+            }
+        }
+
+        if (!content || typeof content.data !== 'object' || content.data === null || Array.isArray(content.data)) {
+            return fail('El backup no contiene datos');
+        }
+
+        const data = {};
+        const skipped = [];
+        Object.keys(content.data).forEach(key => {
+            const value = content.data[key];
+            if (this.isBackupKey(key) && (typeof value === 'string' || value === null)) {
+                data[key] = value;
+            } else {
+                skipped.push(key);
+            }
+        });
+        if (skipped.length > 0) {
+            console.warn('⚠️ Claves del backup descartadas:', skipped);
+        }
+
+        // Los backups anteriores al versionado del esquema cuentan como versión 0
+        const schemaVersion = StorageAdapter.parse(data[SchemaMigrations.VERSION_KEY]);
+        if (Number.isInteger(schemaVersion) && schemaVersion > SchemaMigrations.LATEST_VERSION) {
+            return fail('El backup es de una versión más reciente de PrintConnect: actualiza la aplicación antes de restaurarlo');
+        }
+
+        return {
+            success: true,
+            backup: {
+                version: file.version || '1.0',
+                schemaVersion: Number.isInteger(schemaVersion) ? schemaVersion : 0,
+                timestamp: content.timestamp || file.timestamp,
+                data
+            },
+            encrypted: !!file.encryption,
+            skipped
+        };
+    }
+
+    /**
+     * Restaura un archivo de backup sobrescribiendo las claves que contiene
+     * (para combinarlo con los datos actuales, ver mergeBackup)
+     * options: ver readBackup; los errores de integridad se retornan sin escribir nada.
+     * Antes se toma una instantánea (salvo con snapshot: false) y después se migran
+     * los datos desde la versión de esquema del backup
      */
-    static restoreBackup(backup) {
-        if (!backup || !backup.data) {
-            return { success: false, message: 'Backup inválido' };
+    static async restoreBackup(file, options = {}) {
+        const read = await this.readBackup(file, options);
+        if (!read.success) {
+            return read;
+        }
+        if (options.snapshot !== false) {
+            await this.snapshotBefore(SnapshotStore.REASONS.RESTORE);
         }
 
         let restored = 0;
         let errors = 0;
 
-        for (let key in backup.data) {
+        for (const key in read.backup.data) {
             try {
-                localStorage.setItem(key, backup.data[key]);
+                await this.setItem(key, read.backup.data[key]);
                 restored++;
             } catch (e) {
                 console.error(`Error al restaurar ${key}:`, e);
@@ -107,19 +354,275 @@ class StorageUtils {
             }
         }
 
+        const migration = await new SchemaMigrations(this.adapter).migrate({ from: read.backup.schemaVersion });
+
+        return {
+            success: errors === 0 && migration.success,
+            message: `Restaurados ${restored} elementos, ${errors} errores` +
+                (read.skipped.length ? `, ${read.skipped.length} clave(s) no válidas descartadas` : '') +
+                (migration.success ? '' : `. ${migration.message}`),
+            restored,
+            errors,
+            skipped: read.skipped,
+            migration
+        };
+    }
+
+    /**
+     * Formas de resolver cada diferencia al fusionar un backup
+     */
+    static get MERGE_RESOLUTIONS() {
+        return {
+            KEEP_CURRENT: 'keep_current',
+            TAKE_BACKUP: 'take_backup',
+            KEEP_NEWEST: 'keep_newest'
+        };
+    }
+
+    /**
+     * Claves que se comparan registro a registro al fusionar un backup
+     * id: identificador de cada registro; timestampField: fecha para "conservar el más reciente";
+     * label: texto para mostrar el registro; sort: se reordena por fecha tras fusionar;
+     * single: la clave guarda un único registro con fecha (no un array).
+     * El resto de claves se comparan como un único valor sin fecha
+     */
+    static get MERGE_COLLECTIONS() {
+        return {
+            printconnect_users: {
+                id: user => user.id || user.email,
+                timestampField: 'updatedAt',
+                label: user => `Usuario ${user.email}`
+            },
+            printconnect_contact_history: {
+                id: message => message.id,
+                timestampField: 'timestamp',
+                label: message => `Mensaje de ${message.email}: ${message.subject}`,
+                sort: true
+            },
+            printconnect_audit_log: {
+                id: entry => entry.id,
+                timestampField: 'timestamp',
+                label: entry => `Auditoría: ${AuditLog.getLabel(entry.type)} ${entry.actor || ''}`.trim(),
+                sort: true
+            },
+            printconnect_security_settings: {
+                single: true,
+                timestampField: 'updatedAt',
+                label: () => 'Configuración de seguridad'
+            }
+        };
+    }
+
+    /**
+     * Compara un backup con los datos actuales sin modificar nada
+     * Retorna { success, items, summary } donde cada item es una diferencia:
+     * { id, key, recordId, label, change: 'added' | 'removed' | 'changed', fields, current, backup, newer }
+     * - added: solo está en el backup; removed: solo en los datos actuales
+     * - newer: 'current' o 'backup' según la fecha del registro (a igualdad o sin fecha, 'current')
+     * options: ver readBackup
+     */
+    static async diffBackup(file, options = {}) {
+        const read = await this.readBackup(file, options);
+        if (!read.success) {
+            return read;
+        }
+
+        const diff = await this.compareBackup(read.backup);
+        return {
+            ...diff,
+            backup: { timestamp: read.backup.timestamp, encrypted: read.encrypted, skipped: read.skipped }
+        };
+    }
+
+    /**
+     * Compara un backup ya verificado ({ timestamp, data }) con los datos actuales
+     */
+    static async compareBackup(backup) {
+
+        const collections = this.MERGE_COLLECTIONS;
+        const currentKeys = (await this.getPrintConnectKeys()).filter(key => this.isBackupKey(key));
+        const keys = new Set([...Object.keys(backup.data), ...currentKeys]);
+        const items = [];
+        let unchanged = 0;
+
+        // La versión del esquema no se fusiona: la ajustan las migraciones
+        keys.delete(SchemaMigrations.VERSION_KEY);
+
+        for (const key of keys) {
+            const collection = collections[key] || null;
+            const current = StorageAdapter.parse(await this.getItem(key));
+            const incoming = key in backup.data ? StorageAdapter.parse(backup.data[key]) : null;
+
+            const byRecord = collection && !collection.single &&
+                (current === null || Array.isArray(current)) && (incoming === null || Array.isArray(incoming));
+            const pairs = byRecord
+                ? this.pairRecords(current || [], incoming || [], collection)
+                : [{ recordId: null, current, backup: incoming }];
+
+            pairs.forEach(pair => {
+                if (JSON.stringify(pair.current) === JSON.stringify(pair.backup)) {
+                    unchanged++;
+                    return;
+                }
+
+                const change = pair.current === null ? 'added' : pair.backup === null ? 'removed' : 'changed';
+                const record = pair.current !== null ? pair.current : pair.backup;
+                items.push({
+                    id: pair.recordId === null ? key : `${key}:${pair.recordId}`,
+                    key,
+                    recordId: pair.recordId,
+                    label: collection ? collection.label(record) : key,
+                    change,
+                    fields: change === 'changed' ? this.changedFields(pair.current, pair.backup) : [],
+                    current: pair.current,
+                    backup: pair.backup,
+                    newer: this.newerVersion(pair.current, pair.backup, collection)
+                });
+            });
+        }
+
+        const count = change => items.filter(item => item.change === change).length;
+        return {
+            success: true,
+            message: `${items.length} diferencia(s) con el backup`,
+            items,
+            summary: { added: count('added'), removed: count('removed'), changed: count('changed'), unchanged }
+        };
+    }
+
+    /**
+     * Empareja por id los registros actuales con los del backup
+     * Retorna [{ recordId, current, backup }] (null donde falta el registro)
+     */
+    static pairRecords(currentRecords, backupRecords, collection) {
+        const pairs = new Map();
+        currentRecords.forEach(record => {
+            pairs.set(String(collection.id(record)), { recordId: String(collection.id(record)), current: record, backup: null });
+        });
+        backupRecords.forEach(record => {
+            const id = String(collection.id(record));
+            pairs.set(id, { recordId: id, current: null, ...pairs.get(id), backup: record });
+        });
+        return [...pairs.values()];
+    }
+
+    /**
+     * Campos de primer nivel que difieren entre dos versiones de un registro
+     */
+    static changedFields(current, backup) {
+        if (!current || !backup || typeof current !== 'object' || typeof backup !== 'object') {
+            return [];
+        }
+        return [...new Set([...Object.keys(current), ...Object.keys(backup)])]
+            .filter(field => JSON.stringify(current[field]) !== JSON.stringify(backup[field]));
+    }
+
+    /**
+     * Qué versión es más reciente: 'current' o 'backup'
+     */
+    static newerVersion(current, backup, collection) {
+        if (current === null) return 'backup';
+        if (backup === null || !collection) return 'current';
+
+        const time = record => new Date(record[collection.timestampField]).getTime() || 0;
+        return time(backup) > time(current) ? 'backup' : 'current';
+    }
+
+    /**
+     * Fusiona un archivo de backup con los datos actuales en lugar de sobrescribirlos
+     * options: los de readBackup y resolutions: { [id de la diferencia]: resolución } (ver MERGE_RESOLUTIONS);
+     * las diferencias sin resolución usan strategy. Con "conservar el más reciente"
+     * los registros creados después del backup se mantienen y los que faltan se recuperan.
+     * Antes se toma una instantánea (salvo con snapshot: false)
+     * Los registros del backup se migran después junto con los actuales (ver SchemaMigrations)
+     * Retorna { success, message, applied: [{ id, key, label, change, resolution, source }],
+     *           restored (cambios tomados del backup), kept, errors, migration }
+     */
+    static async mergeBackup(file, options = {}) {
+        const { resolutions = {}, strategy = this.MERGE_RESOLUTIONS.KEEP_NEWEST } = options;
+        const read = await this.readBackup(file, options);
+        if (!read.success) {
+            return read;
+        }
+        if (options.snapshot !== false) {
+            await this.snapshotBefore(SnapshotStore.REASONS.RESTORE);
+        }
+
+        const backup = read.backup;
+        const diff = await this.compareBackup(backup);
+
+        const { KEEP_CURRENT, TAKE_BACKUP } = this.MERGE_RESOLUTIONS;
+        const applied = diff.items.map(item => {
+            const resolution = resolutions[item.id] || strategy;
+            const source = resolution === TAKE_BACKUP ? 'backup'
+                : resolution === KEEP_CURRENT ? 'current'
+                : item.newer;
+            return { id: item.id, key: item.key, label: item.label, change: item.change, resolution, source, item };
+        });
+
+        let errors = 0;
+        const keys = new Set(applied.filter(entry => entry.source === 'backup').map(entry => entry.key));
+        for (const key of keys) {
+            const taken = applied.filter(entry => entry.key === key && entry.source === 'backup');
+            try {
+                // Valor completo (clave sin registros): se escribe el texto original del backup
+                if (taken[0].item.recordId === null) {
+                    if (key in backup.data) {
+                        await this.setItem(key, backup.data[key]);
+                    } else {
+                        await this.removeItem(key);
+                    }
+                    continue;
+                }
+
+                const collection = this.MERGE_COLLECTIONS[key];
+                const replacements = new Map(taken.map(entry => [entry.item.recordId, entry.item.backup]));
+                const current = StorageAdapter.parse(await this.getItem(key)) || [];
+
+                const merged = current
+                    .map(record => {
+                        const id = String(collection.id(record));
+                        return replacements.has(id) ? replacements.get(id) : record;
+                    })
+                    .filter(record => record !== null);
+                taken.filter(entry => entry.change === 'added').forEach(entry => merged.push(entry.item.backup));
+
+                if (collection.sort) {
+                    const time = record => new Date(record[collection.timestampField]).getTime() || 0;
+                    merged.sort((a, b) => time(a) - time(b));
+                }
+                await this.setItem(key, JSON.stringify(merged));
+            } catch (e) {
+                console.error(`Error al fusionar ${key}:`, e);
+                taken.forEach(entry => { entry.error = true; });
+                errors++;
+            }
+        }
+
+        const migration = await new SchemaMigrations(this.adapter).migrate({ from: backup.schemaVersion });
+
+        const report = applied.map(({ item, ...entry }) => entry);
+        const restored = report.filter(entry => entry.source === 'backup' && !entry.error).length;
+        const kept = report.filter(entry => entry.source === 'current').length;
         return {
-            success: errors === 0,
-            message: `Restaurados ${restored} elementos, ${errors} errores`,
+            success: errors === 0 && migration.success,
+            message: `Fusión completada: ${restored} cambio(s) tomados del backup, ${kept} dato(s) actuales conservados` +
+                (errors ? `, ${errors} error(es)` : '') +
+                (migration.success ? '' : `. ${migration.message}`),
+            applied: report,
             restored,
-            errors
+            kept,
+            errors,
+            migration
         };
     }
 
     /**
-     * Descarga los datos como archivo JSON
+     * Descarga los datos como archivo JSON con checksum
+     * Cifrado con AES-GCM si se indica una contraseña (ver packBackup)
      */
-    static downloadBackup() {
-        const backup = this.createBackup();
+    static async downloadBackup(passphrase = null) {
+        const backup = await this.packBackup(await this.createBackup(), passphrase);
         const dataStr = JSON.stringify(backup, null, 2);
         const dataBlob = new Blob([dataStr], { type: 'application/json' });
         
@@ -135,81 +638,53 @@ class StorageUtils {
 
     /**
      * Valida la integridad de los datos almacenados
-     * Verifica que los JSON sean válidos y estén correctamente formateados
-     */
-    static validateStorageIntegrity() {
-        const keys = this.getPrintConnectKeys();
-        const results = {
-            total: keys.length,
-            valid: 0,
-            invalid: [],
-            details: []
-        };
-
-        keys.forEach(key => {
-            try {
-                const value = localStorage.getItem(key);
-                // Intentamos parsear si parece ser JSON
-                if (value && (value.startsWith('{') || value.startsWith('['))) {
-                    JSON.parse(value);
-                }
-                results.valid++;
-                results.details.push({ key, status: 'valid' });
-            } catch (e) {
-                results.invalid.push(key);
-                results.details.push({ key, status: 'invalid', error: e.message });
-            }
-        });
-
-        return results;
+     * Cada clave se comprueba contra su esquema (StorageQuarantine.SCHEMAS),
+     * no solo que su JSON sea legible
+     */
+    static async validateStorageIntegrity() {
+        return StorageQuarantine.inspect();
     }
 
     /**
      * Obtiene información detallada sobre el almacenamiento
      */
-    static getStorageInfo() {
+    static async getStorageInfo() {
         return {
             available: this.isLocalStorageAvailable(),
-            size: this.getStorageSize(),
-            printConnectKeys: this.getPrintConnectKeys().length,
+            adapter: this.adapter.constructor.name,
+            size: await this.getStorageSize(),
+            quota: await StorageQuota.getStatus(),
+            printConnectKeys: (await this.getPrintConnectKeys()).length,
             totalKeys: localStorage.length,
-            integrity: this.validateStorageIntegrity()
+            integrity: await this.validateStorageIntegrity()
         };
     }
 
     /**
-     * Limpia datos antiguos o corruptos
+     * Aparta a la cuarentena los datos corruptos (nunca los borra)
+     * De las listas dañadas se conservan los registros que se pueden recuperar
      * Útil para mantenimiento automático
      */
-    static cleanupStorage() {
-        const validation = this.validateStorageIntegrity();
-        let cleaned = 0;
-
-        validation.invalid.forEach(key => {
-            try {
-                localStorage.removeItem(key);
-                cleaned++;
-            } catch (e) {
-                console.error(`Error al limpiar ${key}:`, e);
-            }
-        });
-
-        return {
-            success: true,
-            cleaned,
-            message: `Se limpiaron ${cleaned} elementos corruptos`
-        };
+    static async cleanupStorage() {
+        // Se ejecuta en cada carga: solo hay instantánea si algo va a cambiar
+        if ((await this.validateStorageIntegrity()).invalid.length > 0) {
+            await this.snapshotBefore(SnapshotStore.REASONS.CLEANUP);
+        }
+        return StorageQuarantine.quarantineInvalid();
     }
 
     /**
      * Muestra información de debug en consola
      */
-    static debugInfo() {
+    static async debugInfo() {
+        const info = await this.getStorageInfo();
         console.group('🔍 PrintConnect Storage Debug Info');
-        console.log('Storage disponible:', this.isLocalStorageAvailable());
-        console.log('Tamaño usado:', this.getStorageSize());
-        console.log('Claves de PrintConnect:', this.getPrintConnectKeys());
-        console.log('Información completa:', this.getStorageInfo());
+        console.log('Storage disponible:', info.available);
+        console.log('Adaptador:', info.adapter);
+        console.log('Tamaño usado:', info.size);
+        console.log('Cuota:', info.quota);
+        console.log('Claves de PrintConnect:', await this.getPrintConnectKeys());
+        console.log('Información completa:', info);
         console.groupEnd();
     }
 }
@@ -219,10 +694,46 @@ class StorageUtils {
  * Gestiona aspectos avanzados de la sesión del usuario
  */
 class SessionManager {
-    constructor(authService) {
+    constructor(authService, uiService = null) {
         this.authService = authService;
+        this.uiService = uiService;
         this.activityTimer = null;
+        this.expirationTimer = null;
         this.warningShown = false;
+
+        // Cada cuánto se comprueba la expiración (también mueve la cuenta atrás del aviso)
+        this.CHECK_INTERVAL = 1000;
+
+        // Sincronización entre pestañas
+        this.CHANNEL_NAME = 'printconnect_session';
+        this.EVENT_STORAGE_KEY = 'printconnect_session_event';
+        this.tabId = CryptoUtils.randomId();
+        this.channel = null;
+        this.listening = false;
+        this.knownUserId = null;
+        // Resolución pendiente mientras una pestaña nueva pide la sesión a las demás
+        this.pendingShare = null;
+        this.SHARE_TIMEOUT = 300;
+    }
+
+    /**
+     * Eventos de sesión que se comparten entre pestañas
+     */
+    static get EVENTS() {
+        return {
+            LOGIN: 'login',
+            LOGOUT: 'logout',
+            EXPIRED: 'expired',
+            ACTIVITY: 'activity',
+            // Un administrador editó, desactivó, eliminó o marcó cuentas como pendientes
+            ACCOUNTS_CHANGED: 'accounts_changed',
+            // Se cambió o restableció una contraseña: como LOGIN, lleva el token renovado
+            // de quien la cambió; las sesiones anteriores al cambio se cierran
+            PASSWORD_CHANGED: 'password_changed',
+            // Una pestaña nueva pide la sesión no persistente de las demás
+            SESSION_REQUEST: 'session_request',
+            SESSION_SHARE: 'session_share'
+        };
     }
 
     /**
@@ -233,10 +744,16 @@ class SessionManager {
         // Eventos que consideramos "actividad del usuario"
         const events = ['mousedown', 'keydown', 'scroll', 'touchstart', 'click'];
         
-        const handleActivity = () => {
-            if (this.authService.isLoggedIn()) {
-                this.authService.refreshSession();
-                this.warningShown = false;
+        const handleActivity = async () => {
+            // Con el aviso abierto decide el usuario desde el diálogo
+            if (this.warningShown) {
+                return;
+            }
+
+            if (this.authService.isLoggedIn() && this.authService.canExtendSession()) {
+                await this.authService.refreshSession();
+                // El token renovado sirve para todas las pestañas
+                this.broadcast(SessionManager.EVENTS.ACTIVITY);
             }
         };
 
@@ -258,41 +775,284 @@ class SessionManager {
 
     /**
      * Verifica periódicamente si la sesión está por expirar
-     * Muestra advertencias al usuario
      */
     startExpirationCheck() {
-        // Verificamos cada 5 minutos
-        setInterval(() => {
-            if (!this.authService.isLoggedIn()) {
+        this.expirationTimer = setInterval(() => this.checkExpiration(), this.CHECK_INTERVAL);
+    }
+
+    /**
+     * Avisa cuando la sesión entra en el margen de aviso y la cierra al expirar
+     */
+    checkExpiration() {
+        // Antes que isLoggedIn(), que ya cerraría la sesión caducada sin avisar
+        if (this.authService.isSessionExpired()) {
+            this.handleSessionExpired();
+            return;
+        }
+
+        if (!this.authService.isLoggedIn()) {
+            this.hideExpirationWarning();
+            return;
+        }
+
+        const remaining = this.authService.getSessionRemaining();
+        const warningMs = this.authService.settings.get('sessionWarningMinutes') * 60 * 1000;
+
+        if (remaining > warningMs) {
+            this.hideExpirationWarning();
+        } else if (!this.warningShown) {
+            this.showExpirationWarning(remaining);
+        } else if (this.uiService) {
+            this.uiService.updateSessionDialog(this.getWarningMessage(remaining));
+        }
+    }
+
+    /**
+     * Escucha los eventos de sesión de otras pestañas
+     * Usa BroadcastChannel y, si no existe, el evento 'storage' de localStorage
+     */
+    startCrossTabSync() {
+        const user = this.authService.getCurrentUser();
+        this.knownUserId = user ? user.id : null;
+        this.listen();
+    }
+
+    /**
+     * Conecta esta pestaña al canal de eventos de sesión (una sola vez)
+     */
+    listen() {
+        if (this.listening) {
+            return;
+        }
+        this.listening = true;
+
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.channel = new BroadcastChannel(this.CHANNEL_NAME);
+            this.channel.onmessage = (event) => this.handleRemoteEvent(event.data);
+            return;
+        }
+
+        window.addEventListener('storage', (event) => {
+            if (event.key !== this.EVENT_STORAGE_KEY || !event.newValue) {
                 return;
             }
 
-            const loginTime = localStorage.getItem('printconnect_login_time');
-            if (!loginTime) return;
+            try {
+                this.handleRemoteEvent(JSON.parse(event.newValue));
+            } catch (error) {
+                console.error('Error al leer evento de sesión:', error);
+            }
+        });
+    }
+
+    /**
+     * Pide a las demás pestañas su sesión no persistente
+     * Esas sesiones viven en sessionStorage, que cada pestaña tiene por separado:
+     * sin esto una pestaña nueva aparecería sin sesión
+     */
+    async requestSessionFromOtherTabs() {
+        if (this.authService.userRepository.loadSessionToken()) {
+            return false;
+        }
+
+        this.listen();
+        const token = await new Promise(resolve => {
+            const timer = setTimeout(() => resolve(null), this.SHARE_TIMEOUT);
+            this.pendingShare = (shared) => {
+                clearTimeout(timer);
+                resolve(shared);
+            };
+            this.broadcast(SessionManager.EVENTS.SESSION_REQUEST);
+        });
+
+        this.pendingShare = null;
+        if (!token) {
+            return false;
+        }
+
+        // Se guarda sin verificar: restoreSession() comprueba la firma después
+        this.authService.userRepository.setTabSessionToken(token);
+        return true;
+    }
+
+    /**
+     * Envía un evento de sesión al resto de pestañas
+     * Si la sesión no es persistente, los eventos que la crean o renuevan llevan
+     * el token, porque las otras pestañas no pueden leer este sessionStorage
+     * Antes se esperan las escrituras de usuarios pendientes, para que las otras
+     * pestañas lean los datos ya guardados
+     */
+    async broadcast(type) {
+        await this.authService.userRepository.flush();
+
+        const message = { type, tabId: this.tabId, sentAt: Date.now() };
+        const session = this.authService.session;
+        const sharesToken = [
+            SessionManager.EVENTS.LOGIN,
+            SessionManager.EVENTS.ACTIVITY,
+            SessionManager.EVENTS.PASSWORD_CHANGED,
+            SessionManager.EVENTS.SESSION_SHARE
+        ].includes(type);
+
+        if (sharesToken && session && !session.payload.persistent) {
+            message.token = session.token;
+        }
+
+        if (this.channel) {
+            this.channel.postMessage(message);
+            return;
+        }
+
+        try {
+            // Basta con escribir y borrar: las otras pestañas reciben el evento 'storage'
+            localStorage.setItem(this.EVENT_STORAGE_KEY, JSON.stringify(message));
+            localStorage.removeItem(this.EVENT_STORAGE_KEY);
+        } catch (error) {
+            console.error('Error al enviar evento de sesión:', error);
+        }
+    }
+
+    /**
+     * Aplica en esta pestaña un evento recibido de otra
+     * El token que pueda traer el mensaje se vuelve a verificar antes de usarlo
+     */
+    async handleRemoteEvent(message) {
+        if (!message || message.tabId === this.tabId) {
+            return;
+        }
 
-            const elapsed = Date.now() - parseInt(loginTime);
-            const duration = this.authService.SESSION_DURATION;
-            const remaining = duration - elapsed;
+        const events = SessionManager.EVENTS;
+        const repository = this.authService.userRepository;
 
-            // Si quedan menos de 10 minutos y no hemos mostrado advertencia
-            if (remaining < 10 * 60 * 1000 && !this.warningShown) {
-                this.showExpirationWarning(Math.floor(remaining / 60000));
-                this.warningShown = true;
+        if (message.type === events.SESSION_REQUEST) {
+            if (this.authService.isLoggedIn() && !this.authService.session.payload.persistent) {
+                this.broadcast(events.SESSION_SHARE);
             }
+            return;
+        }
 
-            // Si la sesión expiró
-            if (remaining <= 0) {
-                this.handleSessionExpired();
+        if (message.type === events.SESSION_SHARE) {
+            if (this.pendingShare && message.token) {
+                this.pendingShare(message.token);
             }
-        }, 5 * 60 * 1000); // Cada 5 minutos
+            return;
+        }
+
+        console.log(`🔄 Evento de sesión desde otra pestaña: ${message.type}`);
+
+        // La sesión de esta pestaña pasa a ser la compartida (o ninguna)
+        if ([events.LOGIN, events.ACTIVITY, events.PASSWORD_CHANGED].includes(message.type)) {
+            repository.setTabSessionToken(message.token || null);
+        } else if (message.type === events.LOGOUT || message.type === events.EXPIRED) {
+            repository.setTabSessionToken(null);
+        }
+
+        // Otra pestaña pudo registrar o modificar usuarios
+        await repository.load();
+        const user = await this.authService.restoreSession();
+        const userId = user ? user.id : null;
+        const userChanged = userId !== this.knownUserId;
+        const sessionLost = !user && this.knownUserId !== null;
+
+        this.knownUserId = userId;
+        this.hideExpirationWarning();
+
+        // El navbar ya se actualizó con los eventos de sesión y de usuarios (EventBus)
+        if (!this.uiService) {
+            return;
+        }
+
+        if (sessionLost) {
+            const notices = {
+                [events.EXPIRED]: 'Tu sesión ha expirado. Por favor, inicia sesión nuevamente.',
+                [events.ACCOUNTS_CHANGED]: 'Un administrador modificó tu cuenta y tu sesión se cerró',
+                [events.PASSWORD_CHANGED]: 'La contraseña de tu cuenta cambió. Inicia sesión con la nueva contraseña'
+            };
+            this.uiService.showNotification(notices[message.type] || 'La sesión se cerró en otra pestaña', 'warning', 3000);
+        }
+
+        if (!this.uiService.protectedPage) {
+            return;
+        }
+
+        if (!user) {
+            this.uiService.redirect('login.html', 1000);
+        } else if (userChanged) {
+            // Otra cuenta inició sesión: el contenido de la página ya no es suyo
+            window.location.reload();
+        }
     }
 
     /**
-     * Muestra advertencia de expiración de sesión
+     * Texto del aviso con la cuenta atrás
      */
-    showExpirationWarning(minutesRemaining) {
-        console.warn(`⚠️ Tu sesión expirará en ${minutesRemaining} minutos`);
-        // Aquí podrías mostrar una notificación en la UI
+    getWarningMessage(remaining) {
+        const countdown = `<strong>${SessionManager.formatCountdown(remaining)}</strong>`;
+
+        if (this.authService.canExtendSession()) {
+            return `Tu sesión se cerrará por inactividad en ${countdown}.`;
+        }
+        return `Tu sesión alcanzó su duración máxima y se cerrará en ${countdown}. Guarda tu trabajo y vuelve a iniciar sesión.`;
+    }
+
+    /**
+     * Muestra el aviso de expiración con la cuenta atrás
+     */
+    showExpirationWarning(remaining) {
+        this.warningShown = true;
+        console.warn(`⚠️ Tu sesión expirará en ${SessionManager.formatCountdown(remaining)}`);
+
+        if (!this.uiService) {
+            return;
+        }
+
+        // Al llegar a la duración máxima ya no se puede seguir conectado
+        const canExtend = this.authService.canExtendSession();
+        this.uiService.showSessionDialog({
+            title: 'Tu sesión está por expirar',
+            message: this.getWarningMessage(remaining),
+            primary: canExtend
+                ? { label: 'Seguir conectado', action: () => this.staySignedIn() }
+                : { label: 'Entendido', action: () => this.uiService.hideSessionDialog() },
+            secondary: { label: 'Cerrar sesión', action: () => this.logoutFromDialog() }
+        });
+    }
+
+    /**
+     * Oculta el aviso de expiración
+     */
+    hideExpirationWarning() {
+        if (!this.warningShown) {
+            return;
+        }
+
+        this.warningShown = false;
+        if (this.uiService) {
+            this.uiService.hideSessionDialog();
+        }
+    }
+
+    /**
+     * Botón "Seguir conectado": renueva la sesión en todas las pestañas
+     */
+    async staySignedIn() {
+        if (await this.authService.refreshSession()) {
+            this.broadcast(SessionManager.EVENTS.ACTIVITY);
+        }
+        this.hideExpirationWarning();
+    }
+
+    /**
+     * Botón "Cerrar sesión" del aviso
+     */
+    logoutFromDialog() {
+        this.hideExpirationWarning();
+        this.authService.logout();
+        this.broadcast(SessionManager.EVENTS.LOGOUT);
+
+        if (this.uiService) {
+            this.uiService.redirect('index.html');
+        }
     }
 
     /**
@@ -300,13 +1060,34 @@ class SessionManager {
      */
     handleSessionExpired() {
         console.log('Sesión expirada. Cerrando sesión...');
-        this.authService.logout();
-        
-        // Podrías redirigir al login o mostrar un mensaje
-        if (typeof window !== 'undefined') {
-            alert('Tu sesión ha expirado. Por favor, inicia sesión nuevamente.');
-            window.location.href = 'login.html';
+        // El aviso, si está abierto, se reutiliza para el mensaje de expiración
+        this.warningShown = false;
+        this.authService.logout(AuditLog.TYPES.SESSION_EXPIRED);
+        this.broadcast(SessionManager.EVENTS.EXPIRED);
+
+        if (!this.uiService) {
+            return;
         }
+
+        this.uiService.showSessionDialog({
+            title: 'Sesión expirada',
+            message: 'Tu sesión ha expirado. Por favor, inicia sesión nuevamente.',
+            primary: { label: 'Iniciar sesión', action: () => this.uiService.redirect('login.html') },
+            // En las páginas públicas se puede seguir navegando sin sesión
+            secondary: this.uiService.protectedPage
+                ? null
+                : { label: 'Cerrar', action: () => this.uiService.hideSessionDialog() }
+        });
+    }
+
+    /**
+     * Formatea una cuenta atrás como m:ss
+     */
+    static formatCountdown(ms) {
+        const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = String(totalSeconds % 60).padStart(2, '0');
+        return `${minutes}:${seconds}`;
     }
 
     /**
@@ -316,6 +1097,7 @@ class SessionManager {
         if (StorageUtils.isLocalStorageAvailable()) {
             this.startActivityMonitoring();
             this.startExpirationCheck();
+            this.startCrossTabSync();
             console.log('✅ SessionManager inicializado');
         } else {
             console.warn('⚠️ localStorage no disponible, algunas funciones estarán limitadas');
@@ -4,9 +4,18 @@
  */
 
 class ThemeManager {
-    constructor() {
+    constructor(storage = StorageAdapter.getDefault()) {
         this.STORAGE_KEY = 'printconnect_theme';
-        this.currentTheme = this.loadTheme();
+        this.storage = storage;
+        // Tema claro mientras se lee el guardado (la pantalla de carga tapa la espera)
+        this.currentTheme = 'light';
+        this.ready = this.loadTheme().then(theme => {
+            this.currentTheme = theme;
+            if (document.body) {
+                this.applyTheme(theme, false);
+            }
+            return theme;
+        });
         this.loadingScreen = null;
         this.loadingMessages = [
             'Conectando impresoras...',
@@ -209,22 +218,22 @@ class ThemeManager {
     }
 
     /**
-     * Guarda el tema en localStorage
+     * Guarda el tema en el almacenamiento
      */
-    saveTheme(theme) {
+    async saveTheme(theme) {
         try {
-            localStorage.setItem(this.STORAGE_KEY, theme);
+            await this.storage.set(this.STORAGE_KEY, theme);
         } catch (error) {
             console.error('Error al guardar tema:', error);
         }
     }
 
     /**
-     * Carga el tema desde localStorage
+     * Carga el tema guardado
      */
-    loadTheme() {
+    async loadTheme() {
         try {
-            const saved = localStorage.getItem(this.STORAGE_KEY);
+            const saved = await this.storage.get(this.STORAGE_KEY);
             return saved || 'light';
         } catch (error) {
             console.error('Error al cargar tema:', error);
@@ -0,0 +1,162 @@
+/**
+ * Clase TokenService
+ * Emite y verifica tokens de sesión firmados con HMAC-SHA256 (WebCrypto)
+ *
+ * Formato: base64url(payload JSON) + '.' + base64url(firma)
+ * La clave de firma es una CryptoKey no extraíble guardada en IndexedDB: ni se puede
+ * leer ni escribir como texto, así nadie firma una sesión propia editando el
+ * almacenamiento a mano. No sustituye a una validación en servidor.
+ */
+class TokenService {
+    constructor(dbName = 'printconnect_keys') {
+        // Clave heredada (texto en localStorage): se descarta al crear la nueva
+        this.KEY_STORAGE = 'printconnect_session_key';
+        this.KEY_NAME = 'session-signing-key';
+        this.STORE_NAME = 'keys';
+        this.dbName = dbName;
+        this.keyPromise = null;
+    }
+
+    /**
+     * Obtiene (o genera la primera vez) la clave HMAC de firma
+     * Varias llamadas simultáneas comparten la misma carga
+     */
+    getKey() {
+        if (!this.keyPromise) {
+            this.keyPromise = this.loadKey().catch(error => {
+                this.keyPromise = null;
+                throw error;
+            });
+        }
+        return this.keyPromise;
+    }
+
+    async loadKey() {
+        localStorage.removeItem(this.KEY_STORAGE);
+
+        // Sin IndexedDB la clave solo vive en memoria: las sesiones no sobreviven a recargar
+        const db = await this.openKeyStore();
+        if (!db) {
+            console.warn('⚠️ IndexedDB no disponible: la clave de sesión no se puede guardar');
+            return TokenService.generateKey();
+        }
+
+        try {
+            const stored = await this.request(db, 'readonly', store => store.get(this.KEY_NAME));
+            if (stored) {
+                return stored;
+            }
+
+            // add() solo escribe si aún no hay clave: si otra pestaña guardó la suya
+            // mientras tanto, la escritura falla y ambas usan la que quedó guardada
+            const key = await TokenService.generateKey();
+            await this.request(db, 'readwrite', store => store.add(key, this.KEY_NAME))
+                .catch(error => {
+                    if (error.name !== 'ConstraintError') {
+                        throw error;
+                    }
+                });
+            return await this.request(db, 'readonly', store => store.get(this.KEY_NAME));
+        } finally {
+            db.close();
+        }
+    }
+
+    /**
+     * Abre la base de datos de claves (null si IndexedDB no está disponible)
+     */
+    openKeyStore() {
+        if (typeof indexedDB === 'undefined') {
+            return Promise.resolve(null);
+        }
+
+        return new Promise(resolve => {
+            const request = indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(this.STORE_NAME);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.error('Error al abrir el almacén de claves:', request.error);
+                resolve(null);
+            };
+        });
+    }
+
+    /**
+     * Ejecuta una operación sobre el almacén de claves en su propia transacción
+     * Se resuelve cuando la transacción termina (la escritura ya es definitiva)
+     */
+    request(db, mode, operation) {
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.STORE_NAME, mode);
+            const request = operation(transaction.objectStore(this.STORE_NAME));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onabort = () => reject(request.error || transaction.error);
+        });
+    }
+
+    /**
+     * Genera una clave HMAC-SHA256 no extraíble
+     */
+    static generateKey() {
+        return crypto.subtle.generateKey({ name: 'HMAC', hash: 'SHA-256' }, false, ['sign', 'verify']);
+    }
+
+    /**
+     * Firma un payload y retorna el token
+     */
+    async sign(payload) {
+        const key = await this.getKey();
+        const body = CryptoUtils.bytesToBase64Url(new TextEncoder().encode(JSON.stringify(payload)));
+        const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(body));
+        return `${body}.${CryptoUtils.bytesToBase64Url(signature)}`;
+    }
+
+    /**
+     * Verifica la firma y la expiración de un token
+     * Retorna el payload si es válido, o null en cualquier otro caso
+     */
+    async verify(token) {
+        if (typeof token !== 'string' || token.split('.').length !== 2) {
+            return null;
+        }
+
+        try {
+            const [body, signature] = token.split('.');
+            const key = await this.getKey();
+            const valid = await crypto.subtle.verify(
+                'HMAC',
+                key,
+                CryptoUtils.base64UrlToBytes(signature),
+                new TextEncoder().encode(body)
+            );
+
+            if (!valid) {
+                console.warn('⚠️ Token de sesión con firma inválida');
+                return null;
+            }
+
+            const payload = TokenService.decode(token);
+            if (!payload || !payload.sub || typeof payload.exp !== 'number' || payload.exp <= Date.now()) {
+                return null;
+            }
+
+            return payload;
+        } catch (error) {
+            console.error('Error al verificar token:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Lee el payload de un token SIN verificar la firma
+     * Solo para mostrar información, nunca para autorizar
+     */
+    static decode(token) {
+        try {
+            const body = token.split('.')[0];
+            return JSON.parse(new TextDecoder().decode(CryptoUtils.base64UrlToBytes(body)));
+        } catch (error) {
+            return null;
+        }
+    }
+}
@@ -0,0 +1,179 @@
+/**
+ * Clase TotpService
+ * Códigos temporales de un solo uso según RFC 6238 (TOTP) sobre HMAC-SHA1
+ * Compatible con Google Authenticator, Microsoft Authenticator, Authy, etc.
+ */
+class TotpService {
+    static get DEFAULTS() {
+        return {
+            digits: 6,
+            period: 30,      // segundos por paso
+            window: 1,       // pasos de tolerancia por desfase de reloj
+            secretBytes: 20  // 160 bits, lo recomendado para SHA-1
+        };
+    }
+
+    static get BASE32_ALPHABET() {
+        return 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+    }
+
+    /**
+     * Genera un secreto aleatorio codificado en base32
+     */
+    static generateSecret() {
+        return this.base32Encode(CryptoUtils.randomBytes(this.DEFAULTS.secretBytes));
+    }
+
+    /**
+     * Codifica bytes en base32 (RFC 4648, sin relleno)
+     */
+    static base32Encode(bytes) {
+        const alphabet = this.BASE32_ALPHABET;
+        let bits = 0;
+        let value = 0;
+        let output = '';
+
+        for (const byte of bytes) {
+            value = (value << 8) | byte;
+            bits += 8;
+            while (bits >= 5) {
+                output += alphabet[(value >>> (bits - 5)) & 31];
+                bits -= 5;
+            }
+        }
+
+        if (bits > 0) {
+            output += alphabet[(value << (5 - bits)) & 31];
+        }
+        return output;
+    }
+
+    /**
+     * Decodifica base32 a bytes (ignora espacios, guiones y relleno)
+     */
+    static base32Decode(text) {
+        const clean = String(text).toUpperCase().replace(/[\s=-]/g, '');
+        const alphabet = this.BASE32_ALPHABET;
+        const bytes = [];
+        let bits = 0;
+        let value = 0;
+
+        for (const char of clean) {
+            const index = alphabet.indexOf(char);
+            if (index === -1) {
+                throw new Error('Secreto base32 inválido');
+            }
+            value = (value << 5) | index;
+            bits += 5;
+            if (bits >= 8) {
+                bytes.push((value >>> (bits - 8)) & 255);
+                bits -= 8;
+            }
+        }
+
+        return new Uint8Array(bytes);
+    }
+
+    /**
+     * Paso de tiempo actual (contador TOTP)
+     */
+    static currentStep(time = Date.now()) {
+        return Math.floor(time / 1000 / this.DEFAULTS.period);
+    }
+
+    /**
+     * Genera el código para un paso concreto (HOTP, RFC 4226)
+     */
+    static async generateCode(secret, step = this.currentStep()) {
+        const key = await crypto.subtle.importKey(
+            'raw',
+            this.base32Decode(secret),
+            { name: 'HMAC', hash: 'SHA-1' },
+            false,
+            ['sign']
+        );
+
+        // El contador se codifica como entero de 8 bytes big-endian
+        const counter = new ArrayBuffer(8);
+        const view = new DataView(counter);
+        view.setUint32(0, Math.floor(step / 0x100000000));
+        view.setUint32(4, step >>> 0);
+
+        const hmac = new Uint8Array(await crypto.subtle.sign('HMAC', key, counter));
+        const offset = hmac[hmac.length - 1] & 0x0f;
+        const binary =
+            ((hmac[offset] & 0x7f) << 24) |
+            (hmac[offset + 1] << 16) |
+            (hmac[offset + 2] << 8) |
+            hmac[offset + 3];
+
+        const digits = this.DEFAULTS.digits;
+        return String(binary % Math.pow(10, digits)).padStart(digits, '0');
+    }
+
+    /**
+     * Verifica un código dentro de la ventana de tolerancia
+     * Retorna el paso que coincidió (para impedir reutilizarlo) o null
+     */
+    static async verify(secret, code, lastUsedStep = null) {
+        const normalized = String(code || '').replace(/\s/g, '');
+        if (!/^\d+$/.test(normalized) || normalized.length !== this.DEFAULTS.digits) {
+            return null;
+        }
+
+        const now = this.currentStep();
+        const window = this.DEFAULTS.window;
+
+        for (let step = now - window; step <= now + window; step++) {
+            // Un código ya usado no vale otra vez (protección contra repetición)
+            if (lastUsedStep !== null && step <= lastUsedStep) {
+                continue;
+            }
+            const expected = await this.generateCode(secret, step);
+            if (CryptoUtils.timingSafeEqual(expected, normalized)) {
+                return step;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Construye la URI otpauth:// para dar de alta el secreto en una app (o en un QR)
+     */
+    static buildUri(secret, account, issuer = 'PrintConnect') {
+        const label = encodeURIComponent(`${issuer}:${account}`);
+        const params = new URLSearchParams({
+            secret: secret,
+            issuer: issuer,
+            algorithm: 'SHA1',
+            digits: String(this.DEFAULTS.digits),
+            period: String(this.DEFAULTS.period)
+        });
+        return `otpauth://totp/${label}?${params.toString()}`;
+    }
+
+    /**
+     * Genera códigos de recuperación de un solo uso (formato xxxx-xxxx)
+     */
+    static generateRecoveryCodes(count = 10) {
+        const alphabet = 'abcdefghjkmnpqrstuvwxyz234567890'; // 32 símbolos: sin sesgo
+        const codes = [];
+
+        for (let i = 0; i < count; i++) {
+            let code = '';
+            for (const byte of CryptoUtils.randomBytes(8)) {
+                code += alphabet[byte % alphabet.length];
+            }
+            codes.push(`${code.slice(0, 4)}-${code.slice(4)}`);
+        }
+        return codes;
+    }
+
+    /**
+     * Normaliza un código de recuperación antes de compararlo
+     */
+    static normalizeRecoveryCode(code) {
+        return String(code || '').trim().toLowerCase().replace(/[\s-]/g, '');
+    }
+}
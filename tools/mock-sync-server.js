@@ -0,0 +1,250 @@
+/**
+ * Servidor de sincronización de prueba para PrintConnect
+ *
+ * Implementa la API REST que usa RemoteSyncAdapter guardando los datos en memoria
+ * (y opcionalmente en un archivo JSON). También sirve la propia aplicación, así
+ * se puede probar todo desde el mismo origen sin más dependencias que Node.
+ *
+ * Uso:
+ *   node tools/mock-sync-server.js [--port 3000] [--data datos.json] [--token secreto]
+ *
+ * Después, en admin.html → Sincronización Remota, endpoint http://localhost:3000/api
+ */
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const RESOURCES = ['users', 'contact', 'settings'];
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.jS': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon'
+};
+
+/**
+ * Lee las opciones de la línea de comandos
+ */
+function parseArgs(argv) {
+    const options = { port: 3000, data: null, token: null };
+
+    for (let i = 0; i < argv.length; i++) {
+        const name = argv[i].replace(/^--/, '');
+        if (name in options) {
+            options[name] = argv[++i];
+        }
+    }
+
+    options.port = parseInt(options.port, 10) || 3000;
+    return options;
+}
+
+/**
+ * Clase SyncStore
+ * Registros por recurso con su versión (updatedAt) y un contador global (seq)
+ * que hace de cursor para pedir solo lo nuevo
+ */
+class SyncStore {
+    constructor(file = null) {
+        this.file = file;
+        this.seq = 0;
+        this.resources = {};
+        this.load();
+    }
+
+    load() {
+        if (!this.file || !fs.existsSync(this.file)) {
+            return;
+        }
+
+        try {
+            const saved = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+            this.seq = saved.seq || 0;
+            this.resources = saved.resources || {};
+        } catch (error) {
+            console.error('Error al leer los datos guardados:', error.message);
+        }
+    }
+
+    persist() {
+        if (this.file) {
+            fs.writeFileSync(this.file, JSON.stringify({ seq: this.seq, resources: this.resources }, null, 2));
+        }
+    }
+
+    /**
+     * Registros modificados después del cursor (borrados incluidos)
+     */
+    list(resource, since) {
+        const items = Object.values(this.resources[resource] || {})
+            .filter(item => item.seq > since)
+            .sort((a, b) => a.seq - b.seq);
+        return { items, cursor: this.seq };
+    }
+
+    /**
+     * Guarda una versión de un registro (o su borrado)
+     * Gana la última escritura: una versión más antigua que la guardada se rechaza
+     */
+    write(resource, id, updatedAt, data, deleted) {
+        const items = this.resources[resource] = this.resources[resource] || {};
+        const current = items[id];
+
+        if (current && current.updatedAt > updatedAt) {
+            return { conflict: true, item: current };
+        }
+
+        items[id] = { id, updatedAt, deleted, data: deleted ? null : data, seq: ++this.seq };
+        this.persist();
+        return { conflict: false, item: items[id] };
+    }
+}
+
+/**
+ * Envía una respuesta JSON (con CORS, por si la app se sirve desde otro origen)
+ */
+function sendJson(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, PUT, DELETE, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+    });
+    res.end(body === null ? '' : JSON.stringify(body));
+}
+
+/**
+ * Lee el cuerpo JSON de una petición
+ */
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new Error('Cuerpo demasiado grande'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            try {
+                resolve(chunks.length ? JSON.parse(Buffer.concat(chunks).toString('utf8')) : {});
+            } catch (error) {
+                reject(new Error('JSON inválido'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Atiende la API: /api/{recurso} y /api/{recurso}/{id}
+ */
+async function handleApi(req, res, url, store, options) {
+    if (req.method === 'OPTIONS') {
+        sendJson(res, 204, null);
+        return;
+    }
+
+    if (options.token && req.headers.authorization !== `Bearer ${options.token}`) {
+        sendJson(res, 401, { message: 'Token inválido' });
+        return;
+    }
+
+    const [resource, rawId, extra] = url.pathname.replace(/^\/api\/?/, '').split('/');
+    if (!RESOURCES.includes(resource) || extra !== undefined) {
+        sendJson(res, 404, { message: 'Recurso desconocido' });
+        return;
+    }
+
+    if (req.method === 'GET' && rawId === undefined) {
+        const since = parseInt(url.searchParams.get('since'), 10) || 0;
+        sendJson(res, 200, store.list(resource, since));
+        return;
+    }
+
+    if ((req.method === 'PUT' || req.method === 'DELETE') && rawId) {
+        const body = await readBody(req);
+        const updatedAt = Number(body.updatedAt);
+
+        if (!Number.isFinite(updatedAt)) {
+            sendJson(res, 400, { message: 'updatedAt es requerido' });
+            return;
+        }
+
+        const id = decodeURIComponent(rawId);
+        const deleted = req.method === 'DELETE';
+        const result = store.write(resource, id, updatedAt, body.data, deleted);
+        console.log(`${req.method} ${resource}/${id} ${result.conflict ? '→ conflicto (versión más reciente en el servidor)' : '✓'}`);
+        sendJson(res, result.conflict ? 409 : 200, { item: result.item });
+        return;
+    }
+
+    sendJson(res, 405, { message: 'Método no permitido' });
+}
+
+/**
+ * Sirve los archivos de la aplicación
+ */
+function serveStatic(req, res, url) {
+    const relative = decodeURIComponent(url.pathname === '/' ? '/index.html' : url.pathname);
+    const file = path.resolve(ROOT, '.' + relative);
+
+    // Nada fuera de la carpeta del proyecto ni archivos ocultos (.git, etc.)
+    if (!file.startsWith(ROOT + path.sep) || file.slice(ROOT.length).split(path.sep).some(part => part.startsWith('.'))) {
+        res.writeHead(403);
+        res.end();
+        return;
+    }
+
+    fs.readFile(file, (error, content) => {
+        if (error) {
+            res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+            res.end('No encontrado');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(file)] || 'application/octet-stream' });
+        res.end(content);
+    });
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const store = new SyncStore(options.data);
+
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+
+        try {
+            if (url.pathname === '/api' || url.pathname.startsWith('/api/')) {
+                await handleApi(req, res, url, store, options);
+            } else {
+                serveStatic(req, res, url);
+            }
+        } catch (error) {
+            console.error('Error al atender la petición:', error.message);
+            sendJson(res, 400, { message: error.message });
+        }
+    });
+
+    server.listen(options.port, () => {
+        console.log(`🖨️ PrintConnect en http://localhost:${options.port}/`);
+        console.log(`🔄 Endpoint de sincronización: http://localhost:${options.port}/api`);
+        if (options.data) {
+            console.log(`💾 Datos en ${options.data}`);
+        }
+    });
+}
+
+main();
\ No newline at end of file